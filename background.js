@@ -0,0 +1,107 @@
+// SenseNote - Background Service Worker
+// Owns storage (store.js) and routes browser-level entry points (keyboard
+// shortcuts, context menus) to the content script
+
+importScripts('page-url.js', 'migrations.js', 'vault.js', 'store.js', 'sync.js');
+
+(function() {
+  'use strict';
+
+  // Upgrade stored data before serving any request. Runs on every worker
+  // start so installs and updates are never missed; once the data is
+  // current this is a single read.
+  SenseNoteStorage.migrate().catch(error => {
+    console.error('SenseNote: Storage migration failed:', error);
+  });
+
+  // The worker starts whenever the extension is used, which is often
+  // enough to keep the trash within its retention period
+  SenseNoteStorage.purgeExpiredTrash().catch(error => {
+    console.error('SenseNote: Could not purge the trash:', error);
+  });
+
+  // Sync with the user's other browsers, when turned on: shortly after
+  // changes here or there, and whenever the worker starts
+  const sync = SenseNoteSync.createSync(chrome.storage.sync);
+  SenseNoteStorage.onChange(() => sync.schedule());
+  chrome.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName === 'sync') sync.schedule();
+  });
+  sync.schedule();
+
+  const SERVICES = {
+    storage: SenseNoteStorage,
+    sync: sync
+  };
+
+  // Storage and sync requests from content scripts and the popup
+  chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+    const service = message && SERVICES[message.action];
+    if (!service) return false;
+
+    service.handleRequest(message.op, message.params).then(
+      result => sendResponse({ result: result }),
+      error => {
+        console.error(`SenseNote: ${message.action} request failed:`, message.op, error);
+        sendResponse({ error: error.message, code: error.code });
+      }
+    );
+    // Keep the channel open for the async response
+    return true;
+  });
+
+  // Send an action to the content script of a tab
+  function sendToTab(tabId, message) {
+    chrome.tabs.sendMessage(tabId, message, function() {
+      // No content script on this page (e.g. chrome:// or the Web Store)
+      if (chrome.runtime.lastError) {
+        console.warn('SenseNote: Could not reach page:', chrome.runtime.lastError.message);
+      }
+    });
+  }
+
+  // Context menu entries; ids double as the command names the content script runs
+  const CONTEXT_MENU_ITEMS = [
+    { id: 'highlight-yellow', title: 'Highlight yellow', contexts: ['selection'] },
+    { id: 'highlight-blue', title: 'Highlight blue', contexts: ['selection'] },
+    { id: 'highlight-pink', title: 'Highlight pink', contexts: ['selection'] },
+    { id: 'highlight-green', title: 'Highlight green', contexts: ['selection'] },
+    { id: 'highlight-with-note', title: 'Highlight with note…', contexts: ['selection'] },
+    { id: 'save-link', title: 'Save link with note', contexts: ['link'] }
+  ];
+
+  // Menus persist across service worker restarts, so only (re)create them on install/update
+  chrome.runtime.onInstalled.addListener(function() {
+    chrome.contextMenus.removeAll(function() {
+      CONTEXT_MENU_ITEMS.forEach(item => chrome.contextMenus.create(item));
+    });
+  });
+
+  chrome.contextMenus.onClicked.addListener(function(info, tab) {
+    if (!tab || tab.id === undefined) return;
+
+    // The page may have cleared the selection by now, so pass along what
+    // Chrome saw; the content script falls back to searching for it
+    sendToTab(tab.id, {
+      action: 'runCommand',
+      command: info.menuItemId,
+      selectionText: info.selectionText,
+      linkUrl: info.linkUrl
+    });
+  });
+
+  // Keyboard shortcuts (configurable at chrome://extensions/shortcuts)
+  chrome.commands.onCommand.addListener(function(command, tab) {
+    if (tab && tab.id !== undefined) {
+      sendToTab(tab.id, { action: 'runCommand', command: command });
+      return;
+    }
+
+    chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
+      if (tabs && tabs[0]) {
+        sendToTab(tabs[0].id, { action: 'runCommand', command: command });
+      }
+    });
+  });
+
+})();
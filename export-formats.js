@@ -0,0 +1,351 @@
+// SenseNote - Export Formats
+// Turns a list of highlights into downloadable files. Used by the popup.
+//
+// Every builder returns { filename, blob }:
+//   json    full records plus custom tags; importBackup reads it back
+//   csv     one row per highlight, for spreadsheets
+//   html    a standalone page that opens anywhere
+//   md      one Markdown file, grouped by page
+//   vault   a zip with one Markdown file per page and YAML frontmatter,
+//           for note vaults like Obsidian
+
+(function(root) {
+  'use strict';
+
+  const COLOR_NAMES = {
+    '#ffeb3b': 'yellow',
+    '#90caf9': 'blue',
+    '#ff9eb5': 'pink',
+    '#a5d6a7': 'green'
+  };
+
+  function colorName(color) {
+    return COLOR_NAMES[color] || color || '';
+  }
+
+  function stamp(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Highlights grouped by page, pages in the order they first appear
+  function groupByPage(highlights) {
+    const pages = new Map();
+    highlights.forEach(highlight => {
+      const key = highlight.pageKey || highlight.url;
+      if (!pages.has(key)) {
+        pages.set(key, { url: highlight.url, title: highlight.pageTitle || highlight.url, highlights: [] });
+      }
+      pages.get(key).highlights.push(highlight);
+    });
+    return [...pages.values()];
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // ========== JSON ==========
+
+  function toJson(highlights, options) {
+    const data = {
+      exportDate: options.date.toISOString(),
+      highlightCount: highlights.length,
+      highlights: highlights,
+      customTags: options.customTags || []
+    };
+    // Encrypted exports carry what importing them needs (see store.js)
+    if (options.vault) {
+      data.vault = options.vault;
+    }
+    return {
+      filename: `sensenote-export-${stamp(options.date)}.json`,
+      blob: new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
+    };
+  }
+
+  // ========== CSV ==========
+
+  const CSV_COLUMNS = [
+    ['Text', h => h.text],
+    ['Note', h => h.note || ''],
+    ['Tags', h => h.tags.join('; ')],
+    ['Color', h => colorName(h.color)],
+    ['Page Title', h => h.pageTitle || ''],
+    ['URL', h => h.url],
+    ['Created', h => h.timestamp || ''],
+    ['Modified', h => h.lastModified || ''],
+    ['ID', h => h.id]
+  ];
+
+  function csvCell(value) {
+    let text = String(value);
+    // Highlighted text comes from arbitrary pages; keep spreadsheets from
+    // reading it as a formula
+    if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  function toCsv(highlights, options) {
+    const rows = [CSV_COLUMNS.map(column => column[0])]
+      .concat(highlights.map(h => CSV_COLUMNS.map(column => column[1](h))));
+    // The byte order mark makes Excel read the file as UTF-8
+    const csv = '\ufeff' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    return {
+      filename: `sensenote-export-${stamp(options.date)}.csv`,
+      blob: new Blob([csv], { type: 'text/csv' })
+    };
+  }
+
+  // ========== HTML ==========
+
+  function toHtml(highlights, options) {
+    const pages = groupByPage(highlights).map(page => `
+  <section>
+    <h2><a href="${escapeHtml(page.url)}">${escapeHtml(page.title)}</a></h2>
+    ${page.highlights.map(h => `
+    <article>
+      <blockquote><mark style="background: ${escapeHtml(h.color || '#ffeb3b')}">${escapeHtml(h.text)}</mark></blockquote>
+      ${h.note ? `<p class="note">${escapeHtml(h.note)}</p>` : ''}
+      <p class="meta">
+        ${h.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join(' ')}
+        <time datetime="${escapeHtml(h.timestamp || '')}">${h.timestamp ? new Date(h.timestamp).toLocaleString() : ''}</time>
+      </p>
+    </article>`).join('')}
+  </section>`).join('');
+
+    const html = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>SenseNote Export</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #1a1a1a; line-height: 1.6; }
+    h2 { font-size: 18px; margin-top: 40px; }
+    h2 a { color: inherit; }
+    article { border-bottom: 1px solid #f0f0f0; padding: 8px 0 16px; }
+    blockquote { margin: 0; }
+    mark { padding: 1px 2px; border-radius: 2px; }
+    .note { color: #444; white-space: pre-wrap; }
+    .meta { color: #999; font-size: 12px; }
+    .tag { background: #f0f0f0; border-radius: 4px; color: #666; margin-right: 4px; padding: 2px 6px; }
+  </style>
+</head>
+<body>
+  <h1>SenseNote Export</h1>
+  <p>${highlights.length} highlight${highlights.length !== 1 ? 's' : ''}, exported ${escapeHtml(options.date.toLocaleString())}</p>
+${pages}
+</body>
+</html>
+`;
+    return {
+      filename: `sensenote-export-${stamp(options.date)}.html`,
+      blob: new Blob([html], { type: 'text/html' })
+    };
+  }
+
+  // ========== Markdown ==========
+
+  // Tags as #hashtags; note apps end a hashtag at whitespace
+  function hashtags(tags) {
+    return tags.map(tag => '#' + tag.replace(/\s+/g, '-')).join(' ');
+  }
+
+  // Page titles go inside [link text]
+  function linkText(text) {
+    return text.replace(/[[\]]/g, '\\$&');
+  }
+
+  function markdownHighlight(highlight) {
+    let markdown = highlight.text.split('\n').map(line => `> ${line}`).join('\n') + '\n\n';
+    if (highlight.note) {
+      markdown += `${highlight.note}\n\n`;
+    }
+    const meta = [colorName(highlight.color)];
+    if (highlight.tags.length > 0) meta.push(hashtags(highlight.tags));
+    if (highlight.timestamp) meta.push(new Date(highlight.timestamp).toLocaleString());
+    markdown += `*${meta.join(' · ')}*\n\n`;
+    return markdown;
+  }
+
+  function toMarkdown(highlights, options) {
+    let markdown = `# SenseNote Export\n\n`;
+    markdown += `Exported: ${options.date.toLocaleString()}\n`;
+    markdown += `Total Highlights: ${highlights.length}\n\n`;
+
+    groupByPage(highlights).forEach(page => {
+      markdown += `---\n\n## [${linkText(page.title)}](${page.url})\n\n`;
+      page.highlights.forEach(highlight => {
+        markdown += markdownHighlight(highlight);
+      });
+    });
+
+    return {
+      filename: `sensenote-export-${stamp(options.date)}.md`,
+      blob: new Blob([markdown], { type: 'text/markdown' })
+    };
+  }
+
+  // ========== Markdown Vault ==========
+
+  // Double-quoted YAML scalars use JSON's escaping
+  function yamlString(value) {
+    return JSON.stringify(String(value));
+  }
+
+  // A file name that works on every OS, unique within the zip
+  function pageFilename(title, taken) {
+    const base = title
+      .replace(/[\\/:*?"<>|#^[\]\u0000-\u001f]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 80)
+      .trim() || 'Untitled';
+    let name = base;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) {
+      name = `${base} (${n})`;
+    }
+    taken.add(name.toLowerCase());
+    return name + '.md';
+  }
+
+  function pageNote(page) {
+    const dates = page.highlights.map(h => h.timestamp).filter(Boolean).sort();
+    const tags = [...new Set(page.highlights.flatMap(h => h.tags))].sort();
+
+    let markdown = '---\n';
+    markdown += `title: ${yamlString(page.title)}\n`;
+    markdown += `url: ${yamlString(page.url)}\n`;
+    markdown += `tags: [${tags.map(yamlString).join(', ')}]\n`;
+    markdown += `highlights: ${page.highlights.length}\n`;
+    if (dates.length > 0) {
+      markdown += `created: ${yamlString(dates[0])}\n`;
+      markdown += `updated: ${yamlString(dates[dates.length - 1])}\n`;
+    }
+    markdown += 'source: SenseNote\n';
+    markdown += '---\n\n';
+    markdown += `# ${page.title}\n\n[Source](${page.url})\n\n`;
+    page.highlights.forEach(highlight => {
+      markdown += markdownHighlight(highlight);
+    });
+    return markdown;
+  }
+
+  function toVault(highlights, options) {
+    const taken = new Set();
+    const files = groupByPage(highlights).map(page => ({
+      name: pageFilename(page.title, taken),
+      content: pageNote(page)
+    }));
+    return {
+      filename: `sensenote-vault-${stamp(options.date)}.zip`,
+      blob: zip(files, options.date)
+    };
+  }
+
+  // ========== Zip ==========
+
+  // Stored (uncompressed) zip entries; Markdown is small and this needs no
+  // compression library
+
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        crcTable[n] = c;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function zip(files, date) {
+    const encoder = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // stored
+      local.setUint16(10, time, true);
+      local.setUint16(12, day, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, day, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      directory.push(entry, name);
+
+      offset += 30 + name.length + data.length;
+    });
+
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+  }
+
+  const BUILDERS = {
+    json: toJson,
+    csv: toCsv,
+    html: toHtml,
+    md: toMarkdown,
+    vault: toVault
+  };
+
+  // Build the export file for format; options: { customTags, date, vault }
+  function build(format, highlights, options = {}) {
+    const builder = BUILDERS[format];
+    if (!builder) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+    return builder(highlights, Object.assign({ date: new Date() }, options));
+  }
+
+  root.SenseNoteExport = {
+    build
+  };
+
+})(window);
@@ -8,14 +8,70 @@
   let selectedHighlight = null;
   let justClosedMenu = false;
 
-  // Load existing highlights for this page
+  // User rules for telling pages apart (see page-url.js)
+  let urlRules = [];
+  // Page the loaded highlights belong to (changes on client-side navigation)
+  let currentPageUrl = getPageUrl();
+  // Page text at the last restore pass that left highlights unresolved
+  let lastRestoreText = null;
+  let restoreTimer = null;
+  let restorePendingSince = 0;
+  // Unresolved highlights by id: { attempts, retryAt, changed }, where
+  // changed says the page has since changed in a way that may have brought
+  // the quote in
+  const restoreRetries = new Map();
+  let retryTimer = null;
+  // Lowercased text added to the page since the last restore pass; null
+  // when it was too much to keep or came without mutations (frames)
+  let changedText = '';
+  let pageObserver = null;
+  // Shadow roots and frame documents we already observe
+  const watchedScopes = new WeakSet();
+  // Scope roots as of the last scan, for lookups (see findHighlightElements)
+  let scopeRoots = null;
+
+  const HIGHLIGHT_COLORS = {
+    yellow: '#ffeb3b',
+    blue: '#90caf9',
+    pink: '#ff9eb5',
+    green: '#a5d6a7'
+  };
+
+  const RESTORE_DEBOUNCE_MS = 500;
+  const RESTORE_MAX_WAIT_MS = 2000;
+  // Unresolved highlights are searched for again after 2s, 4s, 8s... up to
+  // once a minute, and only if the page gained text that could hold them
+  const RETRY_BASE_MS = 2000;
+  const RETRY_MAX_MS = 60000;
+  const MAX_CHANGED_TEXT = 100000;
+
+  // Canonical URL of the current page: no hash, tracking parameters or
+  // anything the user's rules ignore (see page-url.js)
+  function getPageUrl() {
+    return SenseNoteUrl.canonicalUrl(window.location.href, {
+      rules: urlRules,
+      canonicalHref: SenseNoteUrl.canonicalLinkHref(document)
+    });
+  }
+
+  // Load existing highlights for this page. -> a promise settled once
+  // they're loaded
   function loadHighlights() {
-    // Strip hash from URL for comparison (to support navigation with hash)
-    const pageUrl = window.location.href.split('#')[0];
-    chrome.storage.local.get(['highlights'], function(result) {
-      const allHighlights = result.highlights || [];
-      highlights = allHighlights.filter(h => h.url.split('#')[0] === pageUrl);
+    const pageUrl = currentPageUrl;
+    return SenseNoteStore.query({ url: pageUrl }).then(function(pageHighlights) {
+      // The user navigated elsewhere while we were reading storage
+      if (pageUrl !== currentPageUrl) return;
+
+      highlights = pageHighlights;
+      lastRestoreText = null;
+      restoreRetries.clear();
       console.log(`SenseNote: Found ${highlights.length} highlight(s) for this page`);
+
+      // With the highlighted text encrypted, locked highlights can't be found
+      const lockedCount = highlights.filter(h => h.locked && !h.text).length;
+      if (lockedCount > 0) {
+        showToast(`🔒 ${lockedCount} highlight(s) locked · unlock the vault in SenseNote to show them`);
+      }
       
       // Wait for page to be fully loaded before restoring
       if (document.readyState === 'loading') {
@@ -23,65 +79,279 @@
       } else {
         restoreHighlights();
       }
+    }).catch(function(error) {
+      console.error('SenseNote: Could not load highlights:', error);
     });
   }
 
-  // Restore highlights on page load
+  // Restore highlights that aren't on the page yet. Runs on load and again
+  // whenever the page changes, until every highlight has been anchored.
   function restoreHighlights() {
+    const now = Date.now();
+    const roots = getScopeRoots();
+    const pending = highlights.filter(h => h.text && findHighlightElements(h.id, roots).length === 0);
+    // Every pending highlight takes note of the changes, even those that
+    // aren't due yet
+    const due = pending.filter(h => isRetryDue(h, now));
+    changedText = '';
+    if (due.length === 0) {
+      scheduleRetry(pending, now);
+      return;
+    }
+
+    // Nothing new to anchor against since the last unsuccessful pass
+    const pageText = roots.map(root => buildTextIndex(root).fullText).join('\u0000');
+    if (pageText === lastRestoreText) return;
+
     console.log('SenseNote: Restoring highlights...');
     let successCount = 0;
     let failCount = 0;
-    
-    highlights.forEach(highlight => {
+    let approximateCount = 0;
+
+    due.forEach(highlight => {
       try {
-        const range = createRangeFromHighlight(highlight);
-        if (range) {
-          applyHighlight(range, highlight.id, highlight.color);
+        const anchor = anchorHighlight(highlight, roots);
+        if (anchor) {
+          applyHighlight(anchor.range, highlight.id, highlight.color, anchor.confidence);
+          restoreRetries.delete(highlight.id);
           successCount++;
+          if (anchor.confidence < LOW_CONFIDENCE) approximateCount++;
         } else {
           console.warn('SenseNote: Could not create range for highlight:', highlight.text.substring(0, 50));
+          noteFailedRestore(highlight, now);
           failCount++;
         }
       } catch (e) {
         console.error('SenseNote: Error restoring highlight:', e, highlight.text.substring(0, 50));
+        noteFailedRestore(highlight, now);
         failCount++;
       }
     });
     
     console.log(`SenseNote: Restored ${successCount} highlight(s), ${failCount} failed`);
+    scheduleRetry(pending, now);
+
+    // Remember what the page looked like so unchanged pages aren't searched again
+    lastRestoreText = failCount > 0 ? pageText : null;
     
-    if (successCount > 0) {
+    if (approximateCount > 0) {
+      showToast(`✓ Restored ${successCount} highlight(s), ${approximateCount} approximate`);
+    } else if (successCount > 0) {
       showToast(`✓ Restored ${successCount} highlight(s)`);
     }
   }
 
-  // Create a range object from saved highlight data
-  function createRangeFromHighlight(highlight) {
+  // Whether an unresolved highlight should be searched for again: the first
+  // time, and then once its backoff is over if the page changed in a way
+  // that may have brought its quote in
+  function isRetryDue(highlight, now) {
+    const retry = restoreRetries.get(highlight.id);
+    if (!retry) return true;
+    if (changedText === null || mightContainQuote(changedText, highlight)) {
+      retry.changed = true;
+    }
+    return retry.changed && now >= retry.retryAt;
+  }
+
+  function noteFailedRestore(highlight, now) {
+    const retry = restoreRetries.get(highlight.id) || { attempts: 0 };
+    retry.retryAt = now + Math.min(RETRY_BASE_MS * 2 ** retry.attempts, RETRY_MAX_MS);
+    retry.attempts++;
+    retry.changed = false;
+    restoreRetries.set(highlight.id, retry);
+  }
+
+  // Approximate anchoring tolerates edits, so any longer word of the quote
+  // in the new text is worth a search
+  function mightContainQuote(text, highlight) {
+    const quote = highlight.text.toLowerCase();
+    const words = quote.match(/[\p{L}\p{N}]{4,}/gu) || [quote.trim()];
+    return words.some(word => text.includes(word));
+  }
+
+  // Come back for highlights whose page changed while they were backing off,
+  // since the page may not change again
+  function scheduleRetry(pending, now) {
+    const waiting = pending
+      .map(h => restoreRetries.get(h.id))
+      .filter(retry => retry && retry.changed && retry.retryAt > now);
+    if (waiting.length === 0) return;
+
+    const retryAt = Math.min(...waiting.map(retry => retry.retryAt));
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(restoreHighlights, retryAt - now);
+  }
+
+  // ========== Page Changes ==========
+
+  // Single-page apps load content late and change routes without reloading,
+  // so keep watching the page: retry unresolved highlights when content
+  // arrives and swap highlight sets when the URL changes.
+  function watchPageChanges() {
+    pageObserver = new MutationObserver(function(mutations) {
+      const changes = mutations.filter(isPageMutation);
+      if (changes.length > 0) {
+        noteChangedText(changes);
+        scheduleRestore();
+      }
+    });
+    watchScopes(getScopeRoots());
+
+    window.addEventListener('popstate', scheduleRestore);
+    if (window.navigation) {
+      window.navigation.addEventListener('navigatesuccess', scheduleRestore);
+    }
+
+    // Frames that finish loading may hold highlights (load doesn't bubble)
+    document.addEventListener('load', function(e) {
+      if (e.target.tagName === 'IFRAME' || e.target.tagName === 'FRAME') {
+        // Its text arrived without mutations we could see
+        changedText = null;
+        scheduleRestore();
+      }
+    }, true);
+  }
+
+  // Observe shadow roots and same-origin frames as they appear. Frames also
+  // need their own mouseup listener since their events stay in the frame.
+  function watchScopes(roots) {
+    roots.forEach(root => {
+      if (watchedScopes.has(root)) return;
+      watchedScopes.add(root);
+      pageObserver.observe(root, { childList: true, subtree: true, characterData: true });
+      if (root.ownerDocument !== document && root.ownerDocument.body === root) {
+        root.ownerDocument.addEventListener('mouseup', handleSelectionMouseUp);
+        root.ownerDocument.addEventListener('contextmenu', handleContextMenu, true);
+      }
+    });
+  }
+
+  // Ignore mutations caused by our own menus, dialogs, toasts and highlights
+  function isPageMutation(mutation) {
+    const target = mutation.target.nodeType === Node.ELEMENT_NODE
+      ? mutation.target
+      : mutation.target.parentElement;
+    if (target && target.closest(UI_SELECTOR)) return false;
+
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.length === 0 || !nodes.every(node =>
+      node.nodeType === Node.ELEMENT_NODE && (node.matches(UI_SELECTOR) || isHighlightElement(node))
+    );
+  }
+
+  // Collect the text that mutations added, for mightContainQuote
+  function noteChangedText(mutations) {
+    if (changedText === null) return;
+    mutations.forEach(mutation => {
+      if (mutation.type === 'characterData') {
+        changedText += mutation.target.data.toLowerCase() + '\n';
+      } else {
+        mutation.addedNodes.forEach(node => {
+          changedText += (node.textContent || '').toLowerCase() + '\n';
+        });
+      }
+    });
+    if (changedText.length > MAX_CHANGED_TEXT) changedText = null;
+  }
+
+  // Debounced, but never postponed for longer than RESTORE_MAX_WAIT_MS so
+  // pages that mutate constantly (clocks, tickers) still get restored
+  function scheduleRestore() {
+    if (!restorePendingSince) {
+      restorePendingSince = Date.now();
+    }
+    const delay = Math.min(RESTORE_DEBOUNCE_MS, restorePendingSince + RESTORE_MAX_WAIT_MS - Date.now());
+
+    clearTimeout(restoreTimer);
+    restoreTimer = setTimeout(() => {
+      restorePendingSince = 0;
+      watchScopes(getScopeRoots());
+      if (getPageUrl() !== currentPageUrl) {
+        handleRouteChange();
+      } else {
+        restoreHighlights();
+      }
+    }, Math.max(0, delay));
+  }
+
+  // Drop the previous route's highlights and load the ones for the new URL
+  function handleRouteChange() {
+    console.log('SenseNote: Page URL changed, reloading highlights');
+    closeAllMenus(true);
+    highlights.forEach(h => unwrapHighlight(h.id));
+    highlights = [];
+    lastRestoreText = null;
+    restoreRetries.clear();
+    currentPageUrl = getPageUrl();
+    loadHighlights();
+  }
+
+  // Locate saved highlight data on the page: returns { range, confidence } or null
+  function anchorHighlight(highlight, roots) {
     // Skip if already highlighted
-    const existingHighlight = document.querySelector(`[data-highlight-id="${highlight.id}"]`);
-    if (existingHighlight) {
+    if (findHighlightElements(highlight.id, roots).length > 0) {
       console.log('SenseNote: Highlight already exists on page:', highlight.id);
       return null;
     }
 
-    // Use context-based matching for accuracy
-    return findTextWithContext(highlight.text, highlight.textBefore, highlight.textAfter);
-  }
+    // The shadow root or frame the text lives in may not exist (yet)
+    const root = resolveScope(highlight.scope);
+    if (!root) {
+      console.warn('SenseNote: Could not find frame or shadow root for highlight:', highlight.id);
+      return null;
+    }
 
-  // Find text with context matching (most reliable method)
-  function findTextWithContext(searchText, textBefore = '', textAfter = '') {
-    if (!searchText || searchText.length === 0) {
+    const index = buildTextIndex(root);
+    const match = anchorSelectors(getSelectors(highlight), index);
+    if (!match) {
+      console.warn('SenseNote: Text not found on page:', highlight.text.substring(0, 50));
       return null;
     }
 
-    // Collect all text nodes first
-    const walker = document.createTreeWalker(
-      document.body,
+    const range = rangeFromTextPosition(index, match.start, match.end);
+    if (!range) {
+      console.warn('SenseNote: Could not find text nodes for range');
+      return null;
+    }
+
+    // Final verification (fuzzy matches differ from the saved text by design)
+    const rangeText = range.toString();
+    if (match.method !== 'fuzzy' && rangeText !== highlight.text) {
+      console.warn('SenseNote: Range text mismatch. Expected:', highlight.text.substring(0, 30), 'Got:', rangeText.substring(0, 30));
+      return null;
+    }
+
+    console.log(`SenseNote: Successfully restored highlight (${match.method})`);
+    return { range, confidence: match.confidence };
+  }
+
+  // ========== Anchoring ==========
+  //
+  // Each highlight carries a set of selectors modelled on the W3C Web
+  // Annotation data model:
+  //   TextQuoteSelector    - the exact text plus a prefix/suffix for context
+  //   TextPositionSelector - start/end offsets into the page text
+  //   RangeSelector        - XPath of the start/end elements plus character
+  //                          offsets inside them
+  // Offsets are measured against buildTextIndex(), which is the same text
+  // Range.toString() produces, so capture and restoration line up.
+
+  const CONTEXT_LENGTH = 50;
+  const FUZZY_ERROR_RATE = 0.25;  // Max edits per character when the quote has changed
+  const MAX_FUZZY_PATTERN = 256;  // Longer quotes are fuzzy-matched by their head and tail
+  const MIN_CONFIDENCE = 0.5;     // Below this a fuzzy match is discarded
+  const LOW_CONFIDENCE = 0.9;     // Below this a highlight is rendered as approximate
+  const UI_SELECTOR = '.mark2link-menu, .mark2link-dialog, .mark2link-note-popup, .mark2link-toast';
+
+  // Collect the text nodes under root along with their offsets in the joined text
+  function buildTextIndex(root = document.body) {
+    const walker = (root.ownerDocument || root).createTreeWalker(
+      root,
       NodeFilter.SHOW_TEXT,
       {
         acceptNode: function(node) {
-          if (!node.textContent.trim() || 
-              (node.parentElement && node.parentElement.classList.contains('mark2link-highlight'))) {
+          // Our own menus and toasts must never shift page offsets
+          if (node.parentElement && node.parentElement.closest(UI_SELECTOR)) {
             return NodeFilter.FILTER_REJECT;
           }
           return NodeFilter.FILTER_ACCEPT;
@@ -91,96 +361,573 @@
     );
 
     const textNodes = [];
-    let node;
     let fullText = '';
-    
+    let node;
+
     while (node = walker.nextNode()) {
-      const startOffset = fullText.length;
-      const nodeText = node.textContent;
       textNodes.push({
         node: node,
-        startOffset: startOffset,
-        endOffset: startOffset + nodeText.length,
-        text: nodeText
+        startOffset: fullText.length,
+        endOffset: fullText.length + node.textContent.length
       });
-      fullText += nodeText;
+      fullText += node.textContent;
     }
 
-    // Build the context pattern to search for
-    const contextPattern = (textBefore || '') + searchText + (textAfter || '');
-    
-    // Find the pattern in full text
-    let searchIndex = -1;
-    
-    // Try with context first
-    if (textBefore || textAfter) {
-      const patternIndex = fullText.indexOf(contextPattern);
-      if (patternIndex !== -1) {
-        searchIndex = patternIndex + (textBefore || '').length;
-        console.log('SenseNote: Found exact match with context');
-      }
+    return { root, textNodes, fullText };
+  }
+
+  // Convert a DOM boundary point into an offset in the joined text
+  function textOffsetFromPoint(index, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+      const nodeInfo = index.textNodes.find(n => n.node === container);
+      return nodeInfo ? nodeInfo.startOffset + offset : -1;
     }
-    
-    // Fallback: search for just the text
-    if (searchIndex === -1) {
-      searchIndex = fullText.indexOf(searchText);
-      if (searchIndex === -1) {
-        console.warn('SenseNote: Text not found on page:', searchText.substring(0, 50));
-        return null;
+
+    // Element boundary: the offset is where the first text node after it starts
+    const probe = container.ownerDocument.createRange();
+    probe.setStart(container, offset);
+    for (const nodeInfo of index.textNodes) {
+      if (probe.comparePoint(nodeInfo.node, 0) >= 0) {
+        return nodeInfo.startOffset;
       }
-      console.log('SenseNote: Found text without context');
     }
+    return index.fullText.length;
+  }
 
-    // Find the nodes that contain our target text
-    const targetStart = searchIndex;
-    const targetEnd = searchIndex + searchText.length;
-    
+  // Convert start/end offsets in the joined text back into a DOM range
+  function rangeFromTextPosition(index, start, end) {
     let startNode = null, startNodeOffset = 0;
     let endNode = null, endNodeOffset = 0;
 
-    for (const nodeInfo of textNodes) {
+    for (const nodeInfo of index.textNodes) {
       // Check if this node contains the start position
-      if (targetStart >= nodeInfo.startOffset && targetStart < nodeInfo.endOffset && !startNode) {
+      if (start >= nodeInfo.startOffset && start < nodeInfo.endOffset && !startNode) {
         startNode = nodeInfo.node;
-        startNodeOffset = targetStart - nodeInfo.startOffset;
+        startNodeOffset = start - nodeInfo.startOffset;
       }
-      
+
       // Check if this node contains the end position
-      if (targetEnd > nodeInfo.startOffset && targetEnd <= nodeInfo.endOffset && !endNode) {
+      if (end > nodeInfo.startOffset && end <= nodeInfo.endOffset && !endNode) {
         endNode = nodeInfo.node;
-        endNodeOffset = targetEnd - nodeInfo.startOffset;
+        endNodeOffset = end - nodeInfo.startOffset;
       }
-      
+
       if (startNode && endNode) break;
     }
 
-    // Create the range
-    if (startNode && endNode) {
-      try {
-        const range = document.createRange();
-        range.setStart(startNode, startNodeOffset);
-        range.setEnd(endNode, endNodeOffset);
-        
-        // Final verification
-        const rangeText = range.toString();
-        if (rangeText === searchText) {
-          console.log('SenseNote: Successfully restored highlight');
-          return range;
-        } else {
-          console.warn('SenseNote: Range text mismatch. Expected:', searchText.substring(0, 30), 'Got:', rangeText.substring(0, 30));
+    if (!startNode || !endNode) {
+      return null;
+    }
+
+    try {
+      const range = startNode.ownerDocument.createRange();
+      range.setStart(startNode, startNodeOffset);
+      range.setEnd(endNode, endNodeOffset);
+      return range;
+    } catch (e) {
+      console.error('SenseNote: Error creating range:', e);
+      return null;
+    }
+  }
+
+  function isHighlightElement(node) {
+    return node.nodeType === Node.ELEMENT_NODE && node.classList.contains('mark2link-highlight');
+  }
+
+  // Nearest element that is not one of our highlight spans
+  function containerElement(node) {
+    let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    while (el && isHighlightElement(el)) {
+      el = el.parentElement;
+    }
+    return el;
+  }
+
+  // Element children with our highlight spans flattened away, so XPaths
+  // stay valid whether or not highlights are currently rendered
+  function logicalChildren(parent) {
+    const children = [];
+    for (const child of parent.children) {
+      if (isHighlightElement(child)) {
+        children.push(...logicalChildren(child));
+      } else {
+        children.push(child);
+      }
+    }
+    return children;
+  }
+
+  // XPath of el relative to root, e.g. "/div[2]/p[1]"
+  function xpathFromElement(el, root) {
+    const steps = [];
+    while (el && el !== root) {
+      // Children of a shadow root have no parentElement
+      const parent = el.parentNode === root ? root : containerElement(el.parentElement);
+      if (!parent) return null;
+      const sameName = logicalChildren(parent).filter(c => c.nodeName === el.nodeName);
+      steps.unshift(`${el.nodeName.toLowerCase()}[${sameName.indexOf(el) + 1}]`);
+      el = parent;
+    }
+    return el === root ? '/' + steps.join('/') : null;
+  }
+
+  function elementFromXPath(path, root) {
+    let el = root;
+    for (const step of path.split('/').filter(Boolean)) {
+      const match = step.match(/^([\w:.-]+)\[(\d+)\]$/);
+      if (!match) return null;
+      const sameName = logicalChildren(el).filter(c => c.nodeName.toLowerCase() === match[1]);
+      el = sameName[Number(match[2]) - 1];
+      if (!el) return null;
+    }
+    return el;
+  }
+
+  // Describe a user selection as a set of selectors, relative to the
+  // page, shadow root or frame the selection is in
+  function describeRange(range, text) {
+    const index = buildTextIndex(scopeRootOf(range.startContainer));
+    const { fullText } = index;
+
+    // The saved text is trimmed, so skip any leading whitespace of the selection
+    const rawText = range.toString();
+    const leading = rawText.length - rawText.replace(/^\s+/, '').length;
+    let start = textOffsetFromPoint(index, range.startContainer, range.startOffset) + leading;
+
+    if (fullText.substr(start, text.length) !== text) {
+      start = nearestOccurrence(fullText, text, start);
+      if (start === -1) return null;
+    }
+    const end = start + text.length;
+
+    const selectors = [
+      {
+        type: 'TextQuoteSelector',
+        exact: text,
+        prefix: fullText.substring(Math.max(0, start - CONTEXT_LENGTH), start),
+        suffix: fullText.substring(end, Math.min(fullText.length, end + CONTEXT_LENGTH))
+      },
+      { type: 'TextPositionSelector', start: start, end: end }
+    ];
+
+    const rangeSelector = rangeSelectorFromPosition(index, start, end);
+    if (rangeSelector) {
+      selectors.push(rangeSelector);
+    }
+
+    return selectors;
+  }
+
+  function rangeSelectorFromPosition(index, start, end) {
+    const range = rangeFromTextPosition(index, start, end);
+    if (!range) return null;
+
+    const startEl = containerElement(range.startContainer) || index.root;
+    const endEl = containerElement(range.endContainer) || index.root;
+    const startPath = startEl && xpathFromElement(startEl, index.root);
+    const endPath = endEl && xpathFromElement(endEl, index.root);
+    if (!startPath || !endPath) return null;
+
+    return {
+      type: 'RangeSelector',
+      startContainer: startPath,
+      startOffset: start - textOffsetFromPoint(index, startEl, 0),
+      endContainer: endPath,
+      endOffset: end - textOffsetFromPoint(index, endEl, 0)
+    };
+  }
+
+  // Selectors for a saved highlight; records saved before selectors existed
+  // only carry the quote context and offsets
+  function getSelectors(highlight) {
+    if (Array.isArray(highlight.selectors) && highlight.selectors.length > 0) {
+      return highlight.selectors;
+    }
+
+    const selectors = [{
+      type: 'TextQuoteSelector',
+      exact: highlight.text,
+      prefix: highlight.textBefore || '',
+      suffix: highlight.textAfter || ''
+    }];
+    if (typeof highlight.startOffset === 'number' && highlight.endOffset > highlight.startOffset) {
+      selectors.push({ type: 'TextPositionSelector', start: highlight.startOffset, end: highlight.endOffset });
+    }
+    return selectors;
+  }
+
+  // Resolve selectors to { start, end, method } in the joined text, or null.
+  // The range and position selectors are tried first; when they agree on a
+  // location holding the quote we are done. Otherwise every occurrence of
+  // the quote is scored by its surrounding context, with the structural
+  // selectors acting as tie-breaking votes.
+  function anchorSelectors(selectors, index) {
+    const quote = selectors.find(s => s.type === 'TextQuoteSelector');
+    if (!quote || !quote.exact) return null;
+
+    const exact = quote.exact;
+    const { fullText } = index;
+    const holdsQuote = start => start >= 0 && fullText.substr(start, exact.length) === exact;
+
+    const proposals = [];
+
+    const rangeSelector = selectors.find(s => s.type === 'RangeSelector');
+    if (rangeSelector) {
+      const start = startFromRangeSelector(rangeSelector, index);
+      if (holdsQuote(start)) proposals.push(start);
+    }
+
+    const positionSelector = selectors.find(s => s.type === 'TextPositionSelector');
+    if (positionSelector && holdsQuote(positionSelector.start)) {
+      proposals.push(positionSelector.start);
+    }
+
+    if (proposals.length === 2 && proposals[0] === proposals[1]) {
+      return { start: proposals[0], end: proposals[0] + exact.length, method: 'range + position' };
+    }
+
+    const hint = positionSelector ? positionSelector.start : (proposals.length > 0 ? proposals[0] : 0);
+    let best = null;
+
+    for (let start = fullText.indexOf(exact); start !== -1; start = fullText.indexOf(exact, start + 1)) {
+      const score = contextScore(fullText, start, start + exact.length, quote) +
+        proposals.filter(p => p === start).length * 10;
+      const distance = Math.abs(start - hint);
+      if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+        best = { start, score, distance };
+      }
+    }
+
+    if (!best) {
+      return fuzzyAnchor(quote, index, hint);
+    }
+
+    if (proposals.length > 0 && !proposals.includes(best.start)) {
+      console.warn('SenseNote: Selectors disagree, using quote context');
+    }
+
+    return { start: best.start, end: best.start + exact.length, method: 'quote', confidence: 1 };
+  }
+
+  // The quote no longer appears verbatim (the page was edited). Look for
+  // approximate matches and rank them by how much of the quote and its
+  // context survived, preferring candidates near the old position.
+  function fuzzyAnchor(quote, index, hint) {
+    const exact = quote.exact;
+    const { fullText } = index;
+
+    const candidates = exact.length <= MAX_FUZZY_PATTERN
+      ? approximateSearch(fullText, exact, Math.floor(exact.length * FUZZY_ERROR_RATE))
+      : headTailSearch(fullText, exact);
+
+    let best = null;
+    candidates.forEach(candidate => {
+      const quoteSimilarity = Math.max(0, 1 - candidate.errors / exact.length);
+      const context = contextSimilarity(fullText, candidate.start, candidate.end, quote);
+      const confidence = context === null
+        ? quoteSimilarity
+        : quoteSimilarity * 0.75 + context * 0.25;
+      const distance = Math.abs(candidate.start - hint);
+
+      if (!best || confidence > best.confidence ||
+          (confidence === best.confidence && distance < best.distance)) {
+        best = { start: candidate.start, end: candidate.end, confidence, distance };
+      }
+    });
+
+    if (!best || best.confidence < MIN_CONFIDENCE) {
+      return null;
+    }
+
+    console.log('SenseNote: Found approximate match, confidence', best.confidence.toFixed(2));
+    return { start: best.start, end: best.end, method: 'fuzzy', confidence: best.confidence };
+  }
+
+  // Share of the stored prefix/suffix found around a candidate, or null
+  // when the highlight has no context to compare
+  function contextSimilarity(fullText, start, end, quote) {
+    const total = (quote.prefix || '').replace(/\s+/g, '').length +
+      (quote.suffix || '').replace(/\s+/g, '').length;
+    if (total === 0) return null;
+    return contextScore(fullText, start, end, quote) / total;
+  }
+
+  // Approximate substring search (Sellers' algorithm with Ukkonen's cut-off).
+  // Returns the substrings of text within maxErrors edits of pattern as
+  // { start, end, errors }, best first.
+  function approximateSearch(text, pattern, maxErrors) {
+    const m = pattern.length;
+    const limitCost = maxErrors + 1;
+    let prev = new Int32Array(m + 2);
+    let cur = new Int32Array(m + 2);
+    let prevStart = new Int32Array(m + 2);
+    let curStart = new Int32Array(m + 2);
+
+    for (let i = 0; i <= m + 1; i++) {
+      prev[i] = Math.min(i, limitCost);
+    }
+
+    const bestByStart = new Map();
+    let top = Math.min(maxErrors, m);
+
+    const codes = new Uint16Array(m);
+    for (let i = 0; i < m; i++) {
+      codes[i] = pattern.charCodeAt(i);
+    }
+
+    for (let j = 1; j <= text.length; j++) {
+      const c = text.charCodeAt(j - 1);
+      const limit = Math.min(top + 1, m);
+      cur[0] = 0;
+      curStart[0] = j;
+
+      for (let i = 1; i <= limit; i++) {
+        let cost = prev[i - 1] + (codes[i - 1] === c ? 0 : 1);
+        let start = prevStart[i - 1];
+        if (prev[i] + 1 < cost) {
+          cost = prev[i] + 1;
+          start = prevStart[i];
         }
-      } catch (e) {
-        console.error('SenseNote: Error creating range:', e);
+        if (cur[i - 1] + 1 < cost) {
+          cost = cur[i - 1] + 1;
+          start = curStart[i - 1];
+        }
+        cur[i] = Math.min(cost, limitCost);
+        curStart[i] = start;
       }
-    } else {
-        console.warn('SenseNote: Could not find text nodes for range');
+      // Rows past the cut-off are read once more by the next column
+      cur[limit + 1] = limitCost;
+
+      top = limit;
+      while (top > 0 && cur[top] > maxErrors) {
+        top--;
+      }
+
+      if (limit === m && cur[m] <= maxErrors) {
+        const start = curStart[m];
+        const known = bestByStart.get(start);
+        if (!known || cur[m] < known.errors) {
+          bestByStart.set(start, { start, end: j, errors: cur[m] });
+        }
+      }
+
+      [prev, cur] = [cur, prev];
+      [prevStart, curStart] = [curStart, prevStart];
     }
 
-    return null;
+    return [...bestByStart.values()]
+      .sort((a, b) => a.errors - b.errors)
+      .slice(0, 20);
+  }
+
+  // Fuzzy-match a long quote by its first and last characters; the error
+  // count of the whole span is estimated from the two ends and the change
+  // in length.
+  function headTailSearch(fullText, exact) {
+    const size = 64;
+    const maxErrors = Math.floor(size * FUZZY_ERROR_RATE);
+    const heads = approximateSearch(fullText, exact.substring(0, size), maxErrors);
+    const tails = approximateSearch(fullText, exact.substring(exact.length - size), maxErrors);
+    const results = [];
+
+    heads.forEach(head => {
+      tails.forEach(tail => {
+        const length = tail.end - head.start;
+        if (tail.start < head.start || Math.abs(length - exact.length) > exact.length * FUZZY_ERROR_RATE) {
+          return;
+        }
+        results.push({
+          start: head.start,
+          end: tail.end,
+          errors: (head.errors + tail.errors) / (2 * size) * exact.length + Math.abs(length - exact.length)
+        });
+      });
+    });
+
+    return results;
+  }
+
+  function startFromRangeSelector(selector, index) {
+    const startEl = elementFromXPath(selector.startContainer, index.root);
+    if (!startEl) return -1;
+    return textOffsetFromPoint(index, startEl, 0) + selector.startOffset;
+  }
+
+  // How many characters of the stored prefix/suffix match around a candidate.
+  // Whitespace is ignored so layout-only changes don't affect the score.
+  function contextScore(fullText, start, end, quote) {
+    const strip = s => (s || '').replace(/\s+/g, '');
+    const prefix = strip(quote.prefix);
+    const suffix = strip(quote.suffix);
+    const before = strip(fullText.substring(Math.max(0, start - CONTEXT_LENGTH * 4), start));
+    const after = strip(fullText.substring(end, end + CONTEXT_LENGTH * 4));
+
+    let score = 0;
+    while (score < prefix.length && score < before.length &&
+           prefix[prefix.length - 1 - score] === before[before.length - 1 - score]) {
+      score++;
+    }
+    let i = 0;
+    while (i < suffix.length && i < after.length && suffix[i] === after[i]) {
+      i++;
+    }
+    return score + i;
+  }
+
+  // Occurrence of text closest to the given offset, or -1
+  function nearestOccurrence(fullText, text, near) {
+    let best = -1;
+    for (let i = fullText.indexOf(text); i !== -1; i = fullText.indexOf(text, i + 1)) {
+      if (best === -1 || Math.abs(i - near) < Math.abs(best - near)) {
+        best = i;
+      }
+    }
+    return best;
+  }
+
+  // ========== Shadow Roots and Frames ==========
+  //
+  // Text can live in the page, in open shadow roots (web components) or in
+  // same-origin frames. Each of those is a scope with its own text index.
+  // A highlight's scope is saved as the path to it from the page, e.g.
+  //   [{ type: 'frame', path: '/div[1]/iframe[1]' }, { type: 'shadow', path: '/doc-viewer[1]' }]
+  // Closed shadow roots and cross-origin frames can't be reached.
+
+  // Every scope on the page: the body, open shadow roots and same-origin frame bodies
+  function getScopeRoots() {
+    const roots = [];
+    const visit = root => {
+      roots.push(root);
+      root.querySelectorAll('*').forEach(el => {
+        if (el.shadowRoot) {
+          visit(el.shadowRoot);
+        }
+        if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+          const body = frameBody(el);
+          if (body) visit(body);
+        }
+      });
+    };
+    visit(document.body);
+    scopeRoots = roots;
+    return roots;
+  }
+
+  // Body of a frame's document, or null when it's cross-origin or not loaded
+  function frameBody(frame) {
+    try {
+      return frame.contentDocument ? frame.contentDocument.body : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function isShadowRoot(node) {
+    return node.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !!node.host;
+  }
+
+  // Scope root containing a node
+  function scopeRootOf(node) {
+    const root = node.getRootNode();
+    return isShadowRoot(root) ? root : (root.body || document.body);
+  }
+
+  // Path from the page to a scope root, or null if it can't be described
+  function scopePathOf(root) {
+    const path = [];
+    let current = root;
+
+    while (current !== document.body) {
+      const container = isShadowRoot(current)
+        ? current.host
+        : current.ownerDocument.defaultView.frameElement;
+      if (!container) return null;
+
+      const containerRoot = scopeRootOf(container);
+      const containerPath = xpathFromElement(container, containerRoot);
+      if (!containerPath) return null;
+
+      path.unshift({ type: isShadowRoot(current) ? 'shadow' : 'frame', path: containerPath });
+      current = containerRoot;
+    }
+
+    return path;
+  }
+
+  // Scope root for a saved path (missing path means the page itself)
+  function resolveScope(scope) {
+    let root = document.body;
+    for (const step of scope || []) {
+      const el = elementFromXPath(step.path, root);
+      if (!el) return null;
+      root = step.type === 'shadow' ? el.shadowRoot : frameBody(el);
+      if (!root) return null;
+    }
+    return root;
+  }
+
+  // All rendered segments of a highlight, wherever they live. Without
+  // roots, frequent lookups (hover, popups) use the last scan's instead of
+  // walking the whole page, and scan again only when those don't have it:
+  // a shadow root or frame may have appeared since.
+  function findHighlightElements(highlightId, roots) {
+    const find = scopes => {
+      const elements = [];
+      scopes.forEach(root => {
+        elements.push(...root.querySelectorAll(`[data-highlight-id="${highlightId}"]`));
+      });
+      return elements;
+    };
+
+    if (roots) return find(roots);
+    const elements = scopeRoots ? find(scopeRoots) : [];
+    return elements.length > 0 ? elements : find(getScopeRoots());
+  }
+
+  // content.css only reaches the page itself, so link it into shadow roots
+  // and frames before rendering highlights there
+  function ensureStyles(root) {
+    if (root === document.body) return;
+    const container = isShadowRoot(root) ? root : root.ownerDocument.head;
+    if (!container || container.querySelector('link[data-sensenote-styles]')) return;
+
+    const link = root.ownerDocument.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = chrome.runtime.getURL('content.css');
+    link.setAttribute('data-sensenote-styles', '');
+    container.appendChild(link);
+  }
+
+  // Convert client coordinates inside a (possibly nested) frame into page
+  // coordinates of the top document, where our menus live
+  function toTopPageCoords(view, clientX, clientY) {
+    let x = clientX;
+    let y = clientY;
+    while (view && view !== window && view.frameElement) {
+      const frame = view.frameElement;
+      const rect = frame.getBoundingClientRect();
+      x += rect.left + frame.clientLeft;
+      y += rect.top + frame.clientTop;
+      view = frame.ownerDocument.defaultView;
+    }
+    return { x: x + window.scrollX, y: y + window.scrollY };
+  }
+
+  // Chromium only exposes selections inside shadow roots through the shadow
+  // root itself; frames have their own selection
+  function getSelectionFor(node) {
+    const root = node.getRootNode();
+    if (isShadowRoot(root) && typeof root.getSelection === 'function') {
+      return root.getSelection();
+    }
+    return (node.ownerDocument.defaultView || window).getSelection();
   }
 
-  // Apply visual highlight to a range
-  function applyHighlight(range, highlightId, color = '#ffeb3b') {
+  // Apply visual highlight to a range; low-confidence anchors are marked as approximate.
+  // Each text node the range touches gets its own span (all sharing one
+  // data-highlight-id), so the page's elements, links and listeners are
+  // left where they were.
+  function applyHighlight(range, highlightId, color = '#ffeb3b', confidence = 1) {
     try {
       // Validate range
       if (!range || range.collapsed) {
@@ -188,48 +935,57 @@
         return;
       }
 
-      // Clone range to preserve original
-      const workingRange = range.cloneRange();
+      // Work out every segment before touching the DOM, since splitting
+      // text nodes moves the range boundaries
+      const segments = textSegmentsInRange(range);
+      if (segments.length === 0) {
+        console.warn('SenseNote: No text to highlight in range');
+        return;
+      }
+
+      ensureStyles(scopeRootOf(range.startContainer));
+
+      segments.forEach(segment => {
+        const span = segment.node.ownerDocument.createElement('span');
+        span.className = 'mark2link-highlight';
+        span.setAttribute('data-highlight-id', highlightId);
+        span.setAttribute('data-highlight-color', color);
+        span.style.backgroundColor = color;
+        span.style.cursor = 'pointer';
+        markConfidence(span, confidence);
 
-      // Try simple surroundContents first (works ~80% of the time)
-      const span = document.createElement('span');
-      span.className = 'mark2link-highlight';
-      span.setAttribute('data-highlight-id', highlightId);
-      span.style.backgroundColor = color;
-      span.style.cursor = 'pointer';
-      
-      try {
-        workingRange.surroundContents(span);
         span.addEventListener('click', function(e) {
           e.stopPropagation();
-          showHighlightMenu(highlightId, e.pageX, e.pageY);
+
+          // A drag that ended on the highlight is a new selection, not a click
+          const selection = getSelectionFor(span);
+          if (selection && !selection.isCollapsed) return;
+
+          const point = toTopPageCoords(span.ownerDocument.defaultView, e.clientX, e.clientY);
+          const ids = highlightIdsAt(span);
+          if (ids.length > 1) {
+            showHighlightChooser(ids, point.x, point.y);
+          } else {
+            showHighlightMenu(highlightId, point.x, point.y);
+          }
         });
-        return;
-      } catch (e) {
-        // surroundContents failed - selection crosses elements
-        // Use fallback method
-      }
 
-      // Fallback: Extract and wrap content manually
-      const contents = workingRange.extractContents();
-      const wrapper = document.createElement('span');
-      wrapper.className = 'mark2link-highlight';
-      wrapper.setAttribute('data-highlight-id', highlightId);
-      wrapper.style.backgroundColor = color;
-      wrapper.style.cursor = 'pointer';
-      
-      wrapper.appendChild(contents);
-      workingRange.insertNode(wrapper);
-      
-      wrapper.addEventListener('click', function(e) {
-        e.stopPropagation();
-        showHighlightMenu(highlightId, e.pageX, e.pageY);
+        // Hovering one segment lights up the whole highlight
+        span.addEventListener('mouseenter', () => setHighlightHover(highlightId, true));
+        span.addEventListener('mouseleave', () => setHighlightHover(highlightId, false));
+
+        let node = segment.node;
+        if (segment.end < node.textContent.length) {
+          node.splitText(segment.end);
+        }
+        if (segment.start > 0) {
+          node = node.splitText(segment.start);
+        }
+        node.parentNode.insertBefore(span, node);
+        span.appendChild(node);
       });
 
-      // Normalize to merge adjacent text nodes
-      if (wrapper.parentNode) {
-        wrapper.parentNode.normalize();
-      }
+      refreshHighlightColors(scopeRootOf(range.startContainer));
 
     } catch (e) {
       console.error('SenseNote: Error applying highlight:', e);
@@ -238,18 +994,112 @@
     }
   }
 
-  // Handle text selection
-  document.addEventListener('mouseup', function(e) {
+  // Text nodes (and the part of each) covered by a range, skipping
+  // whitespace between elements and non-rendered text
+  function textSegmentsInRange(range) {
+    const root = range.commonAncestorContainer;
+    if (root.nodeType === Node.TEXT_NODE) {
+      return [{ node: root, start: range.startOffset, end: range.endOffset }];
+    }
+
+    const walker = root.ownerDocument.createTreeWalker(
+      root,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: function(node) {
+          if (!range.intersectsNode(node) ||
+              !node.textContent.trim() ||
+              (node.parentElement && node.parentElement.closest('script, style, noscript, textarea, template'))) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          return NodeFilter.FILTER_ACCEPT;
+        }
+      },
+      false
+    );
+
+    const segments = [];
+    let node;
+    while (node = walker.nextNode()) {
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.textContent.length;
+      if (end > start) {
+        segments.push({ node, start, end });
+      }
+    }
+    return segments;
+  }
+
+  // Ids of every highlight covering an element, innermost first
+  function highlightIdsAt(element) {
+    const ids = [];
+    for (let el = element; el; el = el.parentElement) {
+      if (isHighlightElement(el)) {
+        const id = el.getAttribute('data-highlight-id');
+        if (!ids.includes(id)) ids.push(id);
+      }
+    }
+    return ids;
+  }
+
+  // Text covered by several highlights shows the blend of their colors
+  function refreshHighlightColors(root) {
+    root.querySelectorAll('.mark2link-highlight').forEach(span => {
+      const colors = [];
+      for (let el = span; el; el = el.parentElement) {
+        if (isHighlightElement(el)) {
+          colors.push(el.getAttribute('data-highlight-color') || el.style.backgroundColor);
+        }
+      }
+      span.style.backgroundColor = colors.length > 1 ? blendColors(colors) : colors[0];
+      span.classList.toggle('mark2link-highlight-nested', colors.length > 1);
+    });
+  }
+
+  // Average of hex colors ('#rrggbb'); falls back to the first color
+  function blendColors(colors) {
+    const rgbs = colors.map(c => /^#[0-9a-f]{6}$/i.test(c)
+      ? [1, 3, 5].map(i => parseInt(c.substr(i, 2), 16))
+      : null);
+    if (rgbs.some(rgb => !rgb)) return colors[0];
+
+    const mixed = [0, 1, 2].map(i => Math.round(rgbs.reduce((sum, rgb) => sum + rgb[i], 0) / rgbs.length));
+    return '#' + mixed.map(v => v.toString(16).padStart(2, '0')).join('');
+  }
+
+  function setHighlightHover(highlightId, hovered) {
+    findHighlightElements(highlightId).forEach(el => {
+      el.classList.toggle('mark2link-highlight-hover', hovered);
+    });
+  }
+
+  // Flag highlights that were re-anchored with an approximate match
+  function markConfidence(element, confidence) {
+    if (confidence < LOW_CONFIDENCE) {
+      element.classList.add('mark2link-highlight-approximate');
+      element.setAttribute('data-anchor-confidence', confidence.toFixed(2));
+      element.title = `SenseNote: approximate match (${Math.round(confidence * 100)}%), the page text has changed`;
+    }
+  }
+
+  // Handle text selection (on the page and inside same-origin frames)
+  function handleSelectionMouseUp(e) {
+    // Inside shadow roots e.target is the host, so use the real element
+    const target = e.composedPath()[0];
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) {
+      return;
+    }
+
     // Skip if selection is in input fields or editable elements
-    const isInputField = e.target.matches('input, textarea, [contenteditable="true"]') || 
-                         e.target.closest('input, textarea, [contenteditable="true"]');
+    const isInputField = target.matches('input, textarea, [contenteditable="true"]') || 
+                         target.closest('input, textarea, [contenteditable="true"]');
     
     if (isInputField) {
       return;
     }
 
     // Check if click is on a button inside menu/dialog
-    const isButton = e.target.closest('.mark2link-menu button, .mark2link-dialog button');
+    const isButton = target.closest('.mark2link-menu button, .mark2link-dialog button');
     
     // Skip processing if we just closed a menu via button click
     if (justClosedMenu && isButton) {
@@ -257,27 +1107,29 @@
     }
 
     // Don't close menus if clicking on a menu, dialog, popup, or highlight
-    const isMenuClick = e.target.closest('.mark2link-menu');
-    const isDialogClick = e.target.closest('.mark2link-dialog');
-    const isPopupClick = e.target.closest('.mark2link-note-popup');
-    const isHighlightClick = e.target.closest('.mark2link-highlight');
+    const isMenuClick = target.closest('.mark2link-menu');
+    const isDialogClick = target.closest('.mark2link-dialog');
+    const isPopupClick = target.closest('.mark2link-note-popup');
+    const isHighlightClick = target.closest('.mark2link-highlight');
     
     if (!isMenuClick && !isDialogClick && !isPopupClick && !isHighlightClick) {
       // Close menus WITHOUT cooldown when clicking away (not a button)
       closeAllMenus(true);
     }
 
+    const point = toTopPageCoords(target.ownerDocument.defaultView, e.clientX, e.clientY);
+
     // Use setTimeout to ensure selection is finalized
     setTimeout(() => {
-      const selection = window.getSelection();
+      const selection = getSelectionFor(target);
       const selectedText = selection.toString().trim();
 
-      // Validate selection
+      // Validate selection (selections may start or end on an existing
+      // highlight, which creates an overlapping or nested highlight)
       if (selectedText.length > 0 && 
           !isMenuClick && 
           !isDialogClick && 
           !isPopupClick &&
-          !isHighlightClick &&
           selection.rangeCount > 0) {
         
         try {
@@ -285,14 +1137,16 @@
           
           // Ensure range is valid and not collapsed
           if (!range.collapsed) {
-            showSelectionMenu(range, e.pageX, e.pageY);
+            showSelectionMenu(range, point.x, point.y);
           }
         } catch (err) {
           console.warn('SenseNote: Could not get selection range:', err);
         }
       }
     }, 10);
-  });
+  }
+
+  document.addEventListener('mouseup', handleSelectionMouseUp);
 
   // Show menu after text selection
   function showSelectionMenu(range, x, y) {
@@ -300,21 +1154,33 @@
     const clonedRange = range.cloneRange();
     const selectedText = range.toString().trim();
     
-    const menu = createMenu([
-      { label: '', color: '#ffeb3b', action: () => createHighlightFromText(clonedRange, selectedText, '#ffeb3b') },
-      { label: '', color: '#90caf9', action: () => createHighlightFromText(clonedRange, selectedText, '#90caf9') },
-      { label: '', color: '#ff9eb5', action: () => createHighlightFromText(clonedRange, selectedText, '#ff9eb5') },
-      { label: '', color: '#a5d6a7', action: () => createHighlightFromText(clonedRange, selectedText, '#a5d6a7') }
-    ], x, y);
+    const menu = createMenu(Object.values(HIGHLIGHT_COLORS).map(color => ({
+      label: '',
+      color: color,
+      action: () => createHighlightFromText(clonedRange, selectedText, color)
+    })), x, y);
+  }
+
+  // Let the user pick one of several highlights covering the clicked text
+  function showHighlightChooser(highlightIds, x, y) {
+    const items = highlightIds
+      .map(id => highlights.find(h => h.id === id))
+      .filter(Boolean)
+      .map(highlight => ({
+        label: highlight.text.length > 40 ? highlight.text.substring(0, 40) + '...' : (highlight.text || '🔒 Locked highlight'),
+        color: highlight.color,
+        action: () => showHighlightMenu(highlight.id, x, y)
+      }));
+
+    const menu = createMenu(items, x, y);
+    menu.classList.add('mark2link-chooser');
   }
 
   // Show menu for existing highlight
   function showHighlightMenu(highlightId, x, y) {
     // Reload highlights from storage to ensure we have latest data
-    chrome.storage.local.get(['highlights'], function(result) {
-      const allHighlights = result.highlights || [];
-      const pageUrl = window.location.href;
-      highlights = allHighlights.filter(h => h.url === pageUrl);
+    SenseNoteStore.query({ url: currentPageUrl }).then(function(pageHighlights) {
+      highlights = pageHighlights;
       
       const highlight = highlights.find(h => h.id === highlightId);
       if (!highlight) {
@@ -324,6 +1190,8 @@
 
       // Show note popup directly
       showNotePopup(highlightId, x, y);
+    }).catch(function(error) {
+      console.error('SenseNote: Could not load highlight:', error);
     });
   }
 
@@ -348,15 +1216,35 @@
 
     const editIconUrl = chrome.runtime.getURL('icons/edit.svg');
     const deleteIconUrl = chrome.runtime.getURL('icons/trash-2.svg');
-    const truncatedText = highlight.text.length > 50 
-      ? highlight.text.substring(0, 50) + '...' 
-      : highlight.text;
+
+    // Approximate anchors show the confidence so the user can double-check them
+    const element = findHighlightElements(highlightId)[0];
+    const confidence = element ? element.getAttribute('data-anchor-confidence') : null;
+
+    // A highlight made before the vault locked is still on the page
+    const text = highlight.text || (element ? element.textContent : '');
+    const truncatedText = text.length > 50 
+      ? text.substring(0, 50) + '...' 
+      : text;
     
     popup.innerHTML = `
       <div class="mark2link-note-popup-text">"${escapeHtml(truncatedText)}"</div>
-      ${hasNote 
-        ? `<div class="mark2link-note-popup-content">${escapeHtml(highlight.note)}</div>` 
-        : `<div class="mark2link-note-popup-empty">No note</div>`
+      ${confidence 
+        ? `<div class="mark2link-note-popup-warning">Page text changed · approximate match (${Math.round(confidence * 100)}%)</div>` 
+        : ''
+      }
+      ${highlight.locked
+        ? `<form class="mark2link-note-popup-unlock">
+            <div class="mark2link-note-popup-empty">🔒 Locked · enter your passphrase to read the note</div>
+            <div class="mark2link-note-popup-unlock-row">
+              <input type="password" class="mark2link-note-popup-passphrase" placeholder="Passphrase" autocomplete="current-password">
+              <button type="submit" class="mark2link-btn mark2link-btn-primary">Unlock</button>
+            </div>
+            <div class="mark2link-note-popup-error"></div>
+          </form>`
+        : hasNote 
+          ? `<div class="mark2link-note-popup-content">${escapeHtml(highlight.note)}</div>` 
+          : `<div class="mark2link-note-popup-empty">No note</div>`
       }
       <div class="mark2link-note-popup-buttons">
         <button class="mark2link-popup-btn" id="edit-note-btn" title="Edit Note">
@@ -375,6 +1263,17 @@
       e.stopPropagation();
     });
 
+    const unlockForm = popup.querySelector('.mark2link-note-popup-unlock');
+    if (unlockForm) {
+      unlockForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        unlockFromNotePopup(unlockForm, highlightId, x, y);
+      });
+      // Keep the page's own shortcuts out of the passphrase
+      unlockForm.addEventListener('keydown', e => e.stopPropagation());
+      unlockForm.querySelector('input').focus();
+    }
+
     popup.querySelector('#edit-note-btn').onclick = function(e) {
       e.preventDefault();
       e.stopPropagation();
@@ -399,6 +1298,30 @@
     }, 200);
   }
 
+  // Unlock the vault from a locked highlight's note popup, then show the
+  // page's highlights decrypted and the popup again with the note
+  function unlockFromNotePopup(form, highlightId, x, y) {
+    const input = form.querySelector('input');
+    const button = form.querySelector('button');
+    const errorText = form.querySelector('.mark2link-note-popup-error');
+    if (!input.value) return;
+
+    button.disabled = true;
+    errorText.textContent = '';
+    SenseNoteStore.unlockVault(input.value).then(function() {
+      return loadHighlights();
+    }).then(function() {
+      showNotePopup(highlightId, x, y);
+    }).catch(function(error) {
+      console.error('SenseNote: Could not unlock the vault:', error);
+      errorText.textContent = error.message === 'Wrong passphrase'
+        ? 'Wrong passphrase. Try again.'
+        : 'Something went wrong. Try again.';
+      button.disabled = false;
+      input.select();
+    });
+  }
+
   // Create a context menu
   function createMenu(items, x, y) {
     closeAllMenus();
@@ -454,113 +1377,80 @@
     elements.forEach(el => el.remove());
   }
 
-  // Create a new highlight from preserved text and range
-  function createHighlightFromText(range, text, color) {
+  // Create a new highlight from preserved text and range.
+  // options.noteDelay: ms before the note dialog opens (0 opens it right away)
+  // options.linkUrl: target of a link saved from the context menu
+  function createHighlightFromText(range, text, color, options = {}) {
+    const noteDelay = options.noteDelay !== undefined ? options.noteDelay : 500;
+
     if (!text || text.length === 0) {
       console.warn('SenseNote: No text to highlight');
       return;
     }
 
     try {
-      // Capture surrounding context for better restoration (30 chars before and after)
-      let textBefore = '';
-      let textAfter = '';
-      let startOffset = 0;
-      let endOffset = 0;
-      
+      // Describe the selection with several selectors so it can be found again
+      let selectors = null;
       try {
-        // Build full text from text nodes (SAME method used in restoration)
-        const walker = document.createTreeWalker(
-          document.body,
-          NodeFilter.SHOW_TEXT,
-          {
-            acceptNode: function(node) {
-              if (!node.textContent.trim()) {
-                return NodeFilter.FILTER_REJECT;
-              }
-              return NodeFilter.FILTER_ACCEPT;
-            }
-          },
-          false
-        );
-        
-        const textNodes = [];
-        let fullText = '';
-        let node;
-        
-        while (node = walker.nextNode()) {
-          textNodes.push({
-            node: node,
-            startOffset: fullText.length,
-            endOffset: fullText.length + node.textContent.length
-          });
-          fullText += node.textContent;
-        }
-        
-        // Find where our range starts in the fullText
-        // by locating the startContainer in our textNodes list
-        for (const nodeInfo of textNodes) {
-          if (nodeInfo.node === range.startContainer) {
-            startOffset = nodeInfo.startOffset + range.startOffset;
-            endOffset = startOffset + text.length;
-            break;
-          }
-        }
-        
-        // Extract context using the calculated offset
-        const contextLength = 50; // Increased from 30 for better accuracy
-        textBefore = fullText.substring(Math.max(0, startOffset - contextLength), startOffset);
-        textAfter = fullText.substring(endOffset, Math.min(fullText.length, endOffset + contextLength));
-        
-        console.log('SenseNote: Captured context - offset:', startOffset, 'before:', textBefore.length, 'chars, after:', textAfter.length, 'chars');
+        selectors = describeRange(range, text);
       } catch (e) {
-        // Context extraction failed, continue without it
-        console.warn('SenseNote: Could not extract context:', e);
+        // Anchoring data is best-effort, continue without it
+        console.warn('SenseNote: Could not describe selection:', e);
       }
 
+      const quote = selectors ? selectors.find(s => s.type === 'TextQuoteSelector') : null;
+      const position = selectors ? selectors.find(s => s.type === 'TextPositionSelector') : null;
+
       const highlightId = 'hl-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
       
       const highlightData = {
         id: highlightId,
         text: text,
-        textBefore: textBefore,  // Context for better matching
-        textAfter: textAfter,    // Context for better matching
-        url: window.location.href.split('#')[0], // Strip hash to ensure consistency
+        textBefore: quote ? quote.prefix : '',  // Context for better matching
+        textAfter: quote ? quote.suffix : '',    // Context for better matching
+        url: getPageUrl(), // Canonical page URL
         pageTitle: document.title,
-        startOffset: startOffset,
-        endOffset: endOffset,
+        scope: scopePathOf(scopeRootOf(range.startContainer)) || [], // Frame / shadow root path
+        startOffset: position ? position.start : 0,
+        endOffset: position ? position.end : 0,
+        selectors: selectors || [],
         color: color,
         note: '',
-        category: '',
+        tags: [],
         timestamp: new Date().toISOString()
       };
 
+      if (options.linkUrl) {
+        highlightData.linkUrl = options.linkUrl;
+      }
+
       // Save to storage
-      chrome.storage.local.get(['highlights'], function(result) {
-        const allHighlights = result.highlights || [];
-        allHighlights.push(highlightData);
-        chrome.storage.local.set({ highlights: allHighlights }, function() {
-          highlights.push(highlightData);
-          
-          // Apply highlight with fresh range
-          applyHighlight(range, highlightId, color);
-          
-          // Clear selection
-          try {
-            const selection = window.getSelection();
-            if (selection) {
-              selection.removeAllRanges();
-            }
-          } catch (e) {
-            // Ignore selection clearing errors
+      SenseNoteStore.create(highlightData).then(function() {
+        highlights.push(highlightData);
+        
+        // Apply highlight with fresh range
+        applyHighlight(range, highlightId, color);
+        
+        // Clear selection
+        try {
+          const selection = getSelectionFor(range.startContainer);
+          if (selection) {
+            selection.removeAllRanges();
           }
-          
-          // Show success message
-          showToast('✓ Highlight saved!');
-          
-          // Prompt for note
-          setTimeout(() => showNoteDialog(highlightId), 500);
-        });
+        } catch (e) {
+          // Ignore selection clearing errors
+        }
+        
+        // Show success message
+        showToast('✓ Highlight saved!');
+        
+        // Prompt for note
+        setTimeout(() => showNoteDialog(highlightId), noteDelay);
+      }).catch(function(error) {
+        console.error('SenseNote: Error saving highlight:', error);
+        showToast(error.code === 'VAULT_LOCKED'
+          ? '🔒 Unlock the vault in SenseNote to save highlights'
+          : '⚠️ Could not save highlight');
       });
     } catch (e) {
       console.error('SenseNote: Error creating highlight:', e);
@@ -585,15 +1475,14 @@
 
     closeAllMenus();
 
+    if (highlight.locked) {
+      showToast('🔒 Unlock the vault in SenseNote to edit this note');
+      return;
+    }
+
     // Get existing categories for suggestions (from both highlights and custom tags)
-    chrome.storage.local.get(['highlights', 'customTags'], function(result) {
-      const allHighlights = result.highlights || [];
-      const customTags = result.customTags || [];
-      
-      // Combine categories from highlights and custom tags
-      const categoriesFromHighlights = allHighlights.map(h => h.category).filter(c => c && c.trim());
-      const allCategories = [...categoriesFromHighlights, ...customTags];
-      const existingCategories = [...new Set(allCategories)].sort();
+    SenseNoteStore.listTags().then(function(tags) {
+      const existingCategories = tags.map(tag => tag.name);
       
       const dialog = document.createElement('div');
       dialog.className = 'mark2link-dialog';
@@ -606,8 +1495,7 @@
         }
       });
       
-      // Get current tags (support both old category field and new tags array)
-      const currentTags = highlight.tags || (highlight.category ? [highlight.category] : []);
+      const currentTags = highlight.tags;
       
       dialog.innerHTML = `
         <div class="mark2link-dialog-content">
@@ -723,18 +1611,16 @@
           }
           
           // Add to custom tags
-          chrome.storage.local.get(['customTags'], function(result) {
-            const customTags = result.customTags || [];
-            if (!customTags.includes(tagName)) {
-              customTags.push(tagName);
-              chrome.storage.local.set({ customTags: customTags }, function() {
-                // Add to selected tags
-                selectedTags.push(tagName);
-                // Reload the dialog to show the new tag
-                closeAllMenus();
-                showNoteDialog(highlightId);
-              });
-            }
+          SenseNoteStore.addTag(tagName).then(function(added) {
+            if (!added) return;
+            // Add to selected tags
+            selectedTags.push(tagName);
+            // Reload the dialog to show the new tag
+            closeAllMenus();
+            showNoteDialog(highlightId);
+          }).catch(function(error) {
+            console.error('SenseNote: Could not add tag:', error);
+            showToast('⚠️ Could not add tag');
           });
         };
         
@@ -779,6 +1665,9 @@
         e.stopPropagation();
         closeAllMenus();
       };
+    }).catch(function(error) {
+      console.error('SenseNote: Could not load tags:', error);
+      showToast('⚠️ Could not open note editor');
     });
   }
 
@@ -794,52 +1683,34 @@
     saveHighlightDetails(highlightId, note, null);
   }
 
-  // Save highlight details (note and category)
-  function saveHighlightDetails(highlightId, note, category) {
-    chrome.storage.local.get(['highlights'], function(result) {
-      const allHighlights = result.highlights || [];
-      const highlight = allHighlights.find(h => h.id === highlightId);
-      
-      if (highlight) {
-        if (note !== null) highlight.note = note;
-        if (category !== null) highlight.category = category;
-        highlight.lastModified = new Date().toISOString();
-        
-        chrome.storage.local.set({ highlights: allHighlights }, function() {
-          const localHighlight = highlights.find(h => h.id === highlightId);
-          if (localHighlight) {
-            if (note !== null) localHighlight.note = note;
-            if (category !== null) localHighlight.category = category;
-          }
-          showToast('✓ Saved!');
-        });
-      }
-    });
+  // Save highlight details (note and a single tag)
+  function saveHighlightDetails(highlightId, note, tag) {
+    const changes = {};
+    if (note !== null) changes.note = note;
+    if (tag !== null) changes.tags = tag ? [tag] : [];
+    saveHighlightChanges(highlightId, changes);
   }
 
   // Save highlight details with multiple tags
   function saveHighlightDetailsWithTags(highlightId, note, tags) {
-    chrome.storage.local.get(['highlights'], function(result) {
-      const allHighlights = result.highlights || [];
-      const highlight = allHighlights.find(h => h.id === highlightId);
-      
-      if (highlight) {
-        if (note !== null) highlight.note = note;
-        highlight.tags = tags;
-        // Keep category for backwards compatibility (use first tag or empty)
-        highlight.category = tags.length > 0 ? tags[0] : '';
-        highlight.lastModified = new Date().toISOString();
-        
-        chrome.storage.local.set({ highlights: allHighlights }, function() {
-          const localHighlight = highlights.find(h => h.id === highlightId);
-          if (localHighlight) {
-            if (note !== null) localHighlight.note = note;
-            localHighlight.tags = tags;
-            localHighlight.category = tags.length > 0 ? tags[0] : '';
-          }
-          showToast('✓ Saved!');
-        });
+    const changes = { tags: tags };
+    if (note !== null) changes.note = note;
+    saveHighlightChanges(highlightId, changes);
+  }
+
+  // Store changes to a highlight and mirror the saved record locally
+  function saveHighlightChanges(highlightId, changes) {
+    SenseNoteStore.update(highlightId, changes).then(function(saved) {
+      const localHighlight = highlights.find(h => h.id === highlightId);
+      if (localHighlight) {
+        Object.assign(localHighlight, saved);
       }
+      showToast('✓ Saved!');
+    }).catch(function(error) {
+      console.error('SenseNote: Error saving highlight:', error);
+      showToast(error.code === 'VAULT_LOCKED'
+        ? '🔒 Unlock the vault in SenseNote to save changes'
+        : '⚠️ Could not save changes');
     });
   }
 
@@ -897,49 +1768,90 @@
     };
   }
 
-  // Delete highlight
+  // Delete highlight (moves it to the trash; the toast offers Undo)
   function deleteHighlight(highlightId) {
-    if (!confirm('Delete this highlight?')) return;
-
-    chrome.storage.local.get(['highlights'], function(result) {
-      const allHighlights = result.highlights || [];
-      const filtered = allHighlights.filter(h => h.id !== highlightId);
+    SenseNoteStore.remove(highlightId).then(function() {
+      // Remove from local array
+      highlights = highlights.filter(h => h.id !== highlightId);
       
-      chrome.storage.local.set({ highlights: filtered }, function() {
-        // Remove from local array
-        highlights = highlights.filter(h => h.id !== highlightId);
-        
-        // Remove visual highlight
-        const element = document.querySelector(`[data-highlight-id="${highlightId}"]`);
-        if (element) {
-          const parent = element.parentNode;
-          while (element.firstChild) {
-            parent.insertBefore(element.firstChild, element);
-          }
-          parent.removeChild(element);
-          parent.normalize();
+      // Remove visual highlight
+      unwrapHighlight(highlightId);
+      
+      showToast('✓ Highlight moved to Trash', {
+        label: 'Undo',
+        onClick: () => undoDeleteHighlight(highlightId)
+      });
+    }).catch(function(error) {
+      console.error('SenseNote: Error deleting highlight:', error);
+      showToast('⚠️ Could not delete highlight');
+    });
+  }
+
+  // Bring a deleted highlight back from the trash and re-anchor it
+  function undoDeleteHighlight(highlightId) {
+    SenseNoteStore.restore([highlightId]).then(function(restored) {
+      restored.forEach(highlight => {
+        if (!highlights.some(h => h.id === highlight.id)) {
+          highlights.push(highlight);
         }
-        
-        showToast('✓ Highlight deleted');
       });
+      lastRestoreText = null;
+      restoreHighlights();
+    }).catch(function(error) {
+      console.error('SenseNote: Error restoring highlight:', error);
+      showToast('⚠️ Could not restore highlight');
+    });
+  }
+
+  // Remove every segment of a highlight from the page, keeping its contents
+  function unwrapHighlight(highlightId) {
+    const parents = new Set();
+    findHighlightElements(highlightId).forEach(element => {
+      const parent = element.parentNode;
+      while (element.firstChild) {
+        parent.insertBefore(element.firstChild, element);
+      }
+      parent.removeChild(element);
+      parents.add(parent);
     });
+    // Merge the text nodes we split when rendering
+    parents.forEach(parent => parent.normalize());
+
+    // Highlights that were nested in this one get their own color back
+    new Set([...parents].map(scopeRootOf)).forEach(refreshHighlightColors);
   }
 
   // Show toast notification
-  function showToast(message) {
+  // An optional action ({ label, onClick }) adds a button and keeps the
+  // toast up longer so there's time to use it
+  function showToast(message, action) {
     const toast = document.createElement('div');
     toast.className = 'mark2link-toast';
     toast.textContent = message;
     document.body.appendChild(toast);
 
+    const hide = () => {
+      toast.classList.remove('show');
+      setTimeout(() => toast.remove(), 300);
+    };
+
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'mark2link-toast-action';
+      button.textContent = action.label;
+      button.addEventListener('click', function(e) {
+        e.stopPropagation();
+        hide();
+        action.onClick();
+      });
+      toast.appendChild(button);
+    }
+
     setTimeout(() => {
       toast.classList.add('show');
     }, 100);
 
-    setTimeout(() => {
-      toast.classList.remove('show');
-      setTimeout(() => toast.remove(), 300);
-    }, 2000);
+    setTimeout(hide, action ? 6000 : 2000);
   }
 
   // Scroll to highlight if URL contains hash
@@ -953,7 +1865,7 @@
       
       const tryScroll = () => {
         attempts++;
-        const highlightElement = document.querySelector(`[data-highlight-id="${highlightId}"]`);
+        const highlightElement = findHighlightElements(highlightId)[0];
         
         if (highlightElement) {
           console.log('SenseNote: Found highlight, scrolling to it');
@@ -981,9 +1893,202 @@
     }
   }
 
+  // ========== Keyboard Shortcuts ==========
+  //
+  // Shortcuts are chrome.commands and context menu entries handled by the
+  // background service worker, which forwards them here. They read the
+  // selection directly, so keyboard selections (shift+arrows) work as well
+  // as mouse ones.
+
+  let lastNavigatedId = null;
+  // Element the context menu was last opened on (for "Save link with note")
+  let lastContextTarget = null;
+
+  chrome.runtime.onMessage.addListener(function(message) {
+    if (message && message.action === 'runCommand') {
+      runCommand(message.command, message);
+    } else if (message && message.action === 'vaultUnlocked') {
+      // Decrypted highlights can be shown now
+      loadHighlights();
+    }
+  });
+
+  function handleContextMenu(e) {
+    lastContextTarget = e.composedPath()[0];
+  }
+
+  document.addEventListener('contextmenu', handleContextMenu, true);
+
+  // details: { selectionText, linkUrl } when the command came from a context menu
+  function runCommand(command, details = {}) {
+    const colorMatch = /^highlight-(yellow|blue|pink|green)$/.exec(command);
+    if (colorMatch) {
+      highlightActiveSelection(HIGHLIGHT_COLORS[colorMatch[1]], {}, details.selectionText);
+    } else if (command === 'highlight-with-note') {
+      highlightActiveSelection(HIGHLIGHT_COLORS.yellow, { noteDelay: 0 }, details.selectionText);
+    } else if (command === 'save-link') {
+      saveLinkWithNote(details.linkUrl);
+    } else if (command === 'delete-highlight') {
+      deleteHighlightAtCaret();
+    } else if (command === 'next-highlight') {
+      jumpToHighlight(1);
+    } else if (command === 'previous-highlight') {
+      jumpToHighlight(-1);
+    }
+  }
+
+  // fallbackText is searched for when the page no longer has a selection
+  function highlightActiveSelection(color, options, fallbackText) {
+    const selection = getActiveSelection(false);
+    const range = selection
+      ? selection.getRangeAt(0).cloneRange()
+      : (fallbackText ? findTextRange(fallbackText) : null);
+
+    if (!range) {
+      showToast('Select some text to highlight first');
+      return;
+    }
+
+    closeAllMenus(true);
+    createHighlightFromText(range, range.toString().trim(), color, options);
+  }
+
+  // Range for the first place text appears on the page, in any scope
+  function findTextRange(text) {
+    for (const root of getScopeRoots()) {
+      const index = buildTextIndex(root);
+      const match = anchorSelectors([{ type: 'TextQuoteSelector', exact: text.trim() }], index);
+      if (match) {
+        return rangeFromTextPosition(index, match.start, match.end);
+      }
+    }
+    return null;
+  }
+
+  // Highlight a link's text, remember its target and ask for a note
+  function saveLinkWithNote(linkUrl) {
+    let link = lastContextTarget && lastContextTarget.closest ? lastContextTarget.closest('a[href]') : null;
+    if (!link || link.href !== linkUrl) {
+      link = null;
+      for (const root of getScopeRoots()) {
+        link = [...root.querySelectorAll('a[href]')].find(a => a.href === linkUrl);
+        if (link) break;
+      }
+    }
+
+    if (!link || !link.textContent.trim()) {
+      showToast('⚠️ Could not find that link on the page');
+      return;
+    }
+
+    const range = link.ownerDocument.createRange();
+    range.selectNodeContents(link);
+    createHighlightFromText(range, range.toString().trim(), HIGHLIGHT_COLORS.yellow, {
+      noteDelay: 0,
+      linkUrl: link.href
+    });
+  }
+
+  // The selection the user is working in. Keyboard focus tells us which
+  // frame that is; inside it, selections in shadow roots are only visible
+  // through the shadow root, so the deepest non-empty one wins.
+  function getActiveSelection(allowCollapsed) {
+    let doc = document;
+    while (doc.activeElement && /^I?FRAME$/.test(doc.activeElement.tagName)) {
+      const body = frameBody(doc.activeElement);
+      if (!body) break;
+      doc = body.ownerDocument;
+    }
+
+    const roots = getScopeRoots().filter(root => root.ownerDocument === doc).reverse();
+    for (const root of roots) {
+      const selection = getSelectionFor(root);
+      if (!selection || selection.rangeCount === 0 || !root.contains(selection.anchorNode)) continue;
+      if (allowCollapsed || (!selection.isCollapsed && selection.toString().trim())) {
+        return selection;
+      }
+    }
+    return null;
+  }
+
+  function deleteHighlightAtCaret() {
+    const selection = getActiveSelection(true);
+    const node = selection ? selection.focusNode : null;
+    const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+    const span = element ? element.closest('.mark2link-highlight') : null;
+
+    if (!span) {
+      showToast('No highlight under the cursor');
+      return;
+    }
+    deleteHighlight(span.getAttribute('data-highlight-id'));
+  }
+
+  // Scroll to the next (direction 1) or previous (-1) highlight in reading order
+  function jumpToHighlight(direction) {
+    const ordered = getHighlightsInReadingOrder();
+    if (ordered.length === 0) {
+      showToast('No highlights on this page');
+      return;
+    }
+
+    let index = ordered.findIndex(item => item.id === lastNavigatedId);
+    if (index === -1) {
+      // Start from the viewport: first highlight below its top, or last above it
+      const viewportTop = window.scrollY;
+      index = direction > 0
+        ? ordered.findIndex(item => item.y > viewportTop)
+        : ordered.map(item => item.y < viewportTop).lastIndexOf(true);
+      if (index === -1) {
+        index = direction > 0 ? 0 : ordered.length - 1;
+      }
+    } else {
+      index = (index + direction + ordered.length) % ordered.length;
+    }
+
+    const target = ordered[index];
+    lastNavigatedId = target.id;
+    target.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    const segments = findHighlightElements(target.id);
+    segments.forEach(el => el.classList.add('mark2link-highlight-flash'));
+    setTimeout(() => {
+      segments.forEach(el => el.classList.remove('mark2link-highlight-flash'));
+    }, 1000);
+  }
+
+  // First segment of every rendered highlight, sorted by page position
+  function getHighlightsInReadingOrder() {
+    const seen = new Set();
+    const items = [];
+
+    getScopeRoots().forEach(root => {
+      root.querySelectorAll('.mark2link-highlight').forEach(element => {
+        const id = element.getAttribute('data-highlight-id');
+        if (seen.has(id)) return;
+        seen.add(id);
+
+        const rect = element.getBoundingClientRect();
+        const point = toTopPageCoords(element.ownerDocument.defaultView, rect.left, rect.top);
+        items.push({ id, element, x: point.x, y: point.y });
+      });
+    });
+
+    return items.sort((a, b) => a.y - b.y || a.x - b.x);
+  }
+
   // Initialize
   console.log('SenseNote: Content script loaded successfully');
-  loadHighlights();
+  // Page identity depends on the user's URL rules
+  SenseNoteStore.getUrlRules().catch(function(error) {
+    console.error('SenseNote: Could not load URL rules:', error);
+    return [];
+  }).then(function(rules) {
+    urlRules = rules;
+    currentPageUrl = getPageUrl();
+    loadHighlights();
+  });
+  watchPageChanges();
   
   // Check for highlight hash after page loads
   if (document.readyState === 'loading') {
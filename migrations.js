@@ -0,0 +1,122 @@
+// SenseNote - Storage Schema Migrations
+// Each migration upgrades stored data by one schema version. It receives
+// every stored key (except schemaVersion) and returns the new set of keys;
+// keys it leaves out are removed. Add new migrations to the end of the
+// list and never edit a released one: libraries saved by older versions
+// replay the whole chain in order. Migrations may be async.
+
+(function(root) {
+  'use strict';
+
+  // Trimmed, non-empty, unique tag names
+  function cleanTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    const names = tags
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim())
+      .filter(tag => tag);
+    return [...new Set(names)];
+  }
+
+  // Page URL normalization as of schema v2
+  function normalizePageUrlV2(url) {
+    const withoutHash = (url || '').split('#')[0];
+    try {
+      return new URL(withoutHash).href.split('#')[0];
+    } catch (e) {
+      return withoutHash;
+    }
+  }
+
+  // Schema v2 layout: one 'page:<url>' key per page plus highlightIndex
+  function layoutPagesV2(highlights) {
+    const entries = {};
+    const index = { pages: {}, ids: {} };
+
+    highlights.forEach(h => {
+      const pageUrl = normalizePageUrlV2(h.url);
+      const key = 'page:' + pageUrl;
+      (entries[key] = entries[key] || []).push(h);
+      index.ids[h.id] = pageUrl;
+
+      const page = index.pages[pageUrl] = index.pages[pageUrl] || { title: '', count: 0, tags: {}, lastModified: '' };
+      page.count++;
+      h.tags.forEach(tag => {
+        page.tags[tag] = (page.tags[tag] || 0) + 1;
+      });
+      if ((h.lastModified || '') >= page.lastModified) {
+        page.title = h.pageTitle || '';
+        page.lastModified = h.lastModified || '';
+      }
+    });
+
+    entries.highlightIndex = index;
+    return entries;
+  }
+
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Move the legacy category into tags and stamp lastModified',
+      migrate(data) {
+        const highlights = (data.highlights || []).map(h => {
+          const tags = cleanTags(Array.isArray(h.tags) ? h.tags : [h.category]);
+          const highlight = Object.assign({}, h, {
+            tags: tags,
+            lastModified: h.lastModified || h.timestamp || new Date().toISOString()
+          });
+          delete highlight.category;
+          return highlight;
+        });
+
+        return Object.assign({}, data, {
+          highlights: highlights,
+          customTags: cleanTags(data.customTags)
+        });
+      }
+    },
+    {
+      version: 2,
+      description: 'Split highlights into per-page keys with an index',
+      migrate(data) {
+        const rest = Object.assign({}, data);
+        delete rest.highlights;
+        return Object.assign(rest, layoutPagesV2(data.highlights || []));
+      }
+    },
+    {
+      version: 3,
+      description: 'Move highlights and tags from chrome.storage to IndexedDB',
+      async migrate(data) {
+        const rest = Object.assign({}, data);
+        const highlights = [];
+        Object.keys(data).forEach(key => {
+          if (key.startsWith('page:')) {
+            highlights.push(...data[key]);
+            delete rest[key];
+          }
+        });
+        delete rest.highlightIndex;
+        delete rest.customTags;
+
+        // Re-running after an interrupted upgrade just writes the same records again
+        await SenseNoteStorage.importLibrary(highlights, data.customTags || []);
+        return rest;
+      }
+    },
+    {
+      version: 4,
+      description: 'Identify pages by canonical page key',
+      async migrate(data) {
+        await SenseNoteStorage.rekeyLibrary();
+        return data;
+      }
+    }
+  ];
+
+  root.SenseNoteMigrations = {
+    SCHEMA_VERSION: MIGRATIONS[MIGRATIONS.length - 1].version,
+    MIGRATIONS
+  };
+
+})(self);
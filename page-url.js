@@ -0,0 +1,122 @@
+// SenseNote - Page URL Canonicalization
+// Decides when two URLs show the same page. Shared by the content script,
+// the popup and the background storage service.
+//
+// canonicalUrl() is a real, openable URL: the page's <link rel="canonical">
+// when it points at the same site, without the hash, tracking parameters or
+// whatever the user's rule for the domain ignores.
+// pageKey() is the identity used for matching: the canonical URL without
+// scheme, "www." or trailing slash, and with its query parameters sorted.
+//
+// A rule looks like { domain: 'docs.example.com', ignoreQuery: true,
+// ignoreParams: ['lang'] } and applies to the domain and its subdomains.
+
+(function(root) {
+  'use strict';
+
+  // Query parameters that only track where a visit came from
+  const TRACKING_PARAMS = [
+    'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+    'twclid', 'ttclid', 'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl',
+    '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id', 'vero_id',
+    'ref_src', 'ref_url'
+  ];
+  const TRACKING_PREFIXES = ['utm_', 'pk_'];
+
+  function isTrackingParam(name) {
+    const lower = name.toLowerCase();
+    return TRACKING_PARAMS.includes(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+  }
+
+  function bareHost(hostname) {
+    return hostname.toLowerCase().replace(/^www\./, '');
+  }
+
+  function parseHttpUrl(href, base) {
+    try {
+      const url = new URL(href, base);
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Clean up user-entered rules; drops rules without a domain
+  function normalizeRules(rules) {
+    if (!Array.isArray(rules)) return [];
+    return rules
+      .map(rule => ({
+        domain: bareHost(String(rule.domain || '').trim().replace(/^[a-z]+:\/\//i, '').split('/')[0]),
+        ignoreQuery: Boolean(rule.ignoreQuery),
+        ignoreParams: (Array.isArray(rule.ignoreParams) ? rule.ignoreParams : [])
+          .map(name => String(name).trim())
+          .filter(name => name)
+      }))
+      .filter(rule => rule.domain);
+  }
+
+  // Most specific rule for the URL's host, if any
+  function findRule(url, rules) {
+    const host = bareHost(url.hostname);
+    return (rules || [])
+      .filter(rule => host === rule.domain || host.endsWith('.' + rule.domain))
+      .sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+  }
+
+  // Openable URL identifying the page. Options: rules, canonicalHref (the
+  // href of the page's <link rel="canonical">, resolved against href).
+  function canonicalUrl(href, options = {}) {
+    let url = parseHttpUrl(href);
+    if (!url) return (href || '').split('#')[0];
+
+    // Only trust a canonical link on the same site; some pages point every
+    // route at their home page or at a syndication partner
+    const canonical = options.canonicalHref ? parseHttpUrl(options.canonicalHref, url) : null;
+    if (canonical && bareHost(canonical.hostname) === bareHost(url.hostname)) {
+      url = canonical;
+    }
+
+    url.hash = '';
+    const rule = findRule(url, options.rules);
+    if (rule && rule.ignoreQuery) {
+      url.search = '';
+    } else if (url.search) {
+      const ignored = rule ? rule.ignoreParams : [];
+      const names = [...new Set(url.searchParams.keys())];
+      const dropped = names.filter(name => isTrackingParam(name) || ignored.includes(name));
+      // Rewriting the query re-encodes it, so leave untouched ones as they are
+      if (dropped.length > 0) {
+        dropped.forEach(name => url.searchParams.delete(name));
+        if (![...url.searchParams.keys()].length) url.search = '';
+      }
+    }
+    return url.href;
+  }
+
+  // Identity of the page at href, for comparing and indexing
+  function pageKey(href, rules) {
+    const url = parseHttpUrl(canonicalUrl(href, { rules: rules }));
+    if (!url) return (href || '').split('#')[0];
+
+    const port = url.port ? ':' + url.port : '';
+    const path = url.pathname.replace(/\/+$/, '');
+    const params = [...url.searchParams.entries()]
+      .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+    const query = params.length > 0 ? '?' + new URLSearchParams(params).toString() : '';
+    return bareHost(url.hostname) + port + path + query;
+  }
+
+  // The page's <link rel="canonical"> href, if it has one
+  function canonicalLinkHref(doc) {
+    const link = doc.querySelector('link[rel~="canonical"][href]');
+    return link ? link.href : null;
+  }
+
+  root.SenseNoteUrl = {
+    canonicalUrl,
+    pageKey,
+    canonicalLinkHref,
+    normalizeRules
+  };
+
+})(self);
@@ -2,19 +2,82 @@
   "use strict";
 
   let allHighlights = [];
+  // User rules for telling pages apart (see page-url.js)
+  let urlRules = [];
+  // { enabled, unlocked, encryptText, lockMinutes } (see store.js)
+  let vaultStatus = { enabled: false, unlocked: false };
   let currentFilters = {
     color: 'all',
     category: 'all',
+    site: 'all', // picked in the dashboard's sidebar
     dateSort: 'newest' // 'newest' or 'oldest'
   };
+  // Layout of the list, kept in the settings (see store.js)
+  let currentView = {
+    groupBy: 'none', // 'none', 'page' or 'domain'
+    documentOrder: false
+  };
+  // Groups the user folded, by group key
+  const collapsedGroups = new Set();
+  // The search box's query, parsed (see search.js)
+  let searchQuery = SenseNoteSearch.parse("");
+  // Ids of the highlights the store's full-text index found for the
+  // query's words, or null to rank them all (see runSearch)
+  let searchMatches = null;
+  // Autocomplete for the search box: { start, end, options } and the
+  // option picked with the arrow keys
+  let searchSuggestions = null;
+  let activeSuggestion = 0;
+  // Select mode: the highlights picked for a batch action, and the one
+  // clicked last, where a shift-click range starts
+  let selecting = false;
+  const selectedIds = new Set();
+  let lastSelectedId = null;
+  // The list as rows, group headers and cards, in order: { key, group } or
+  // { key, highlight }. Only the rows in view are in the DOM (see
+  // renderWindow).
+  let listRows = [];
+  // Measured row heights by row key
+  const rowHeights = new Map();
+  // Cards by highlight object, so an unchanged highlight keeps its card.
+  // Cleared when what cards show changes: the search terms or select mode.
+  let cardCache = new WeakMap();
+  let cardCacheKey = "";
+  // Index of the first rendered row, and the pending window update
+  let renderedStart = 0;
+  let windowFrame = null;
+  // Dashboard: the page shown in the reading pane, by page key, the
+  // highlights shown there, and the highlight the keyboard moves
+  let readingPage = null;
+  let paneHighlights = [];
+  let paneKey = "";
+  let activeHighlightId = null;
+
+  // popup.html?view=library is the dashboard: the same page in a tab, with
+  // a sidebar and a reading pane around the list
+  const isDashboard = new URLSearchParams(location.search).get("view") === "library";
+  if (isDashboard) buildDashboard();
 
   // DOM elements
   const highlightsContainer = document.getElementById("highlights-container");
   const emptyState = document.getElementById("empty-state");
   const clearAllBtn = document.getElementById("clear-all-btn");
   const searchBtn = document.getElementById("search-btn");
+  const searchInput = document.getElementById("search-input");
+  const searchSuggestionsList = document.getElementById("search-suggestions");
+  const searchError = document.getElementById("search-error");
+  const viewOptionButtons = document.querySelectorAll(".view-option");
+  const documentOrderInput = document.getElementById("document-order");
+  const selectBtn = document.getElementById("select-btn");
+  const selectionBar = document.getElementById("selection-bar");
+  const selectionCount = document.getElementById("selection-count");
+  const selectAllBtn = document.getElementById("select-all-btn");
+  const selectNoneBtn = document.getElementById("select-none-btn");
+  const selectionActionButtons = document.querySelectorAll(".selection-action-btn");
   const filterBtn = document.getElementById("filter-btn");
   const tagsBtn = document.getElementById("tags-btn");
+  const exportBtn = document.getElementById("export-btn");
+  const dashboardBtn = document.getElementById("dashboard-btn");
   
   // Views
   const toolbar = document.querySelector(".toolbar");
@@ -23,20 +86,123 @@
   const tagsBackBtn = document.getElementById("tags-back-btn");
   const tagsList = document.getElementById("tags-list");
   const tagsEmpty = document.getElementById("tags-empty");
+  const trashBtn = document.getElementById("trash-btn");
+  const trashView = document.getElementById("trash-view");
+  const trashBackBtn = document.getElementById("trash-back-btn");
+  const trashList = document.getElementById("trash-list");
+  const trashEmpty = document.getElementById("trash-empty");
+  const emptyTrashBtn = document.getElementById("empty-trash-btn");
+  const trashRetentionDaysInput = document.getElementById("trash-retention-days");
+  const settingsBtn = document.getElementById("settings-btn");
+  const settingsView = document.getElementById("settings-view");
+  const settingsBackBtn = document.getElementById("settings-back-btn");
+  const urlRulesList = document.getElementById("url-rules-list");
+  const urlRuleForm = document.getElementById("url-rule-form");
+  const syncEnabledInput = document.getElementById("sync-enabled");
+  const syncStatusText = document.getElementById("sync-status-text");
+  const syncNowBtn = document.getElementById("sync-now-btn");
+  const importBtn = document.getElementById("import-btn");
+  const importFile = document.getElementById("import-file");
+  const vaultSetupForm = document.getElementById("vault-setup-form");
+  const vaultPassphraseInput = document.getElementById("vault-passphrase");
+  const vaultPassphraseConfirmInput = document.getElementById("vault-passphrase-confirm");
+  const vaultEncryptTextInput = document.getElementById("vault-encrypt-text");
+  const vaultControls = document.getElementById("vault-controls");
+  const vaultStatusText = document.getElementById("vault-status-text");
+  const vaultLockBtn = document.getElementById("vault-lock-btn");
+  const vaultLockMinutesInput = document.getElementById("vault-lock-minutes");
+  const vaultDisableBtn = document.getElementById("vault-disable-btn");
+  // Only in the dashboard (see buildDashboard)
+  const sidebarAllBtn = document.getElementById("sidebar-all");
+  const sidebarTags = document.getElementById("sidebar-tags");
+  const sidebarSites = document.getElementById("sidebar-sites");
+  const readingPane = document.getElementById("reading-pane");
+
+  // Stand-ins for the rows above and below the rendered ones
+  const topSpacer = document.createElement("div");
+  const bottomSpacer = document.createElement("div");
+  // Rows that grow or shrink (an open editor, history) move the rest
+  const rowResizeObserver = new ResizeObserver(scheduleWindow);
 
   // Initialize
   function init() {
+    topSpacer.className = "list-spacer";
+    bottomSpacer.className = "list-spacer";
+    highlightsContainer.append(topSpacer, bottomSpacer);
     loadHighlights();
+    loadUrlRules();
+    loadVaultStatus();
+    loadView();
     setupEventListeners();
+    if (isDashboard) setupDashboard();
   }
 
   // Setup event listeners
   function setupEventListeners() {
     clearAllBtn.addEventListener("click", handleClearAll);
     searchBtn.addEventListener("click", handleSearch);
+    searchInput.addEventListener("input", handleSearchInput);
+    searchInput.addEventListener("keydown", handleSearchKeydown);
+    searchInput.addEventListener("click", updateSearchSuggestions);
+    searchInput.addEventListener("blur", () => {
+      hideSearchSuggestions();
+      if (!searchInput.value) closeSearch();
+    });
+    // Keep the input focused while a suggestion is clicked
+    searchSuggestionsList.addEventListener("mousedown", (e) => e.preventDefault());
     filterBtn.addEventListener("click", handleFilter);
+    exportBtn.addEventListener("click", () => handleExport(getFilteredHighlights(), false));
+    if (dashboardBtn) {
+      dashboardBtn.addEventListener("click", openDashboard);
+    }
     tagsBtn.addEventListener("click", showTagsView);
     tagsBackBtn.addEventListener("click", hideTagsView);
+    trashBtn.addEventListener("click", showTrashView);
+    trashBackBtn.addEventListener("click", hideTrashView);
+    emptyTrashBtn.addEventListener("click", handleEmptyTrash);
+    trashRetentionDaysInput.addEventListener("change", handleRetentionChange);
+    settingsBtn.addEventListener("click", showSettingsView);
+    settingsBackBtn.addEventListener("click", hideSettingsView);
+    urlRuleForm.addEventListener("submit", handleAddUrlRule);
+    syncEnabledInput.addEventListener("change", handleSyncToggle);
+    syncNowBtn.addEventListener("click", handleSyncNow);
+    importBtn.addEventListener("click", () => importFile.click());
+    importFile.addEventListener("change", handleImportFile);
+    vaultSetupForm.addEventListener("submit", handleVaultSetup);
+    vaultLockBtn.addEventListener("click", handleVaultLock);
+    vaultLockMinutesInput.addEventListener("change", handleVaultLockMinutesChange);
+    vaultDisableBtn.addEventListener("click", handleVaultDisable);
+    viewOptionButtons.forEach((button) => {
+      button.addEventListener("click", () => handleViewChange({ groupBy: button.dataset.groupBy }));
+    });
+    documentOrderInput.addEventListener("change", () => {
+      handleViewChange({ documentOrder: documentOrderInput.checked });
+    });
+    selectBtn.addEventListener("click", () => setSelecting(!selecting));
+    selectAllBtn.addEventListener("click", handleSelectAll);
+    selectNoneBtn.addEventListener("click", handleSelectNone);
+    document.getElementById("selection-tag-btn").addEventListener("click", handleSelectionAddTag);
+    document.getElementById("selection-untag-btn").addEventListener("click", handleSelectionRemoveTag);
+    document.getElementById("selection-color-btn").addEventListener("click", handleSelectionColor);
+    document.getElementById("selection-export-btn").addEventListener("click", () => {
+      handleExport(selectedHighlights(), true);
+    });
+    document.getElementById("selection-delete-btn").addEventListener("click", handleSelectionDelete);
+
+    // Sync progress from the background
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message && message.action === "syncStatus") {
+        renderSyncStatus(message.status);
+        if (!message.status.syncing && message.status.received > 0) {
+          loadHighlights();
+        }
+      }
+    });
+
+    // Render the rows that scroll into view, whether the list or the page
+    // scrolls
+    document.addEventListener("scroll", scheduleWindow, true);
+    window.addEventListener("resize", scheduleWindow);
 
     // Close dropdowns when clicking outside
     document.addEventListener("click", (e) => {
@@ -48,32 +214,51 @@
 
   // Load highlights from storage
   function loadHighlights() {
-    chrome.storage.local.get(["highlights"], function (result) {
-      allHighlights = result.highlights || [];
-      renderHighlights();
-    });
+    SenseNoteStore.query()
+      .then((highlights) => {
+        allHighlights = highlights;
+        // Forget picked highlights that were deleted meanwhile
+        const ids = new Set(highlights.map((h) => h.id));
+        selectedIds.forEach((id) => {
+          if (!ids.has(id)) selectedIds.delete(id);
+        });
+        // New and edited highlights may match the search now
+        runSearch();
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not load highlights:", error);
+      });
   }
 
-  // Render highlights
-  function renderHighlights() {
-    highlightsContainer.innerHTML = "";
-
-    // Apply filters
-    let filteredHighlights = [...allHighlights];
+  // Predicates for the choices in the filter menu
+  function filterPredicates() {
+    const predicates = [];
 
     // Filter by color
     if (currentFilters.color !== 'all') {
-      filteredHighlights = filteredHighlights.filter(h => h.color === currentFilters.color);
+      predicates.push(h => h.color === currentFilters.color);
     }
 
     // Filter by category/tag
     if (currentFilters.category !== 'all') {
-      filteredHighlights = filteredHighlights.filter(h => {
-        // Support both new tags array and old category field
-        const tags = h.tags || (h.category ? [h.category] : []);
-        return tags.includes(currentFilters.category);
-      });
+      predicates.push(h => h.tags.includes(currentFilters.category));
+    }
+
+    // Filter by site
+    if (currentFilters.site !== 'all') {
+      predicates.push(h => siteOf(h.url) === currentFilters.site);
+    }
+
+    return predicates;
+  }
+
+  // Highlights matching the current filters and search, in the chosen order
+  function getFilteredHighlights() {
+    const predicates = filterPredicates().concat(searchQuery.predicates);
+    if (searchMatches) {
+      predicates.push(h => searchMatches.has(h.id));
     }
+    const filteredHighlights = allHighlights.filter(h => predicates.every(matches => matches(h)));
 
     // Sort by date
     if (currentFilters.dateSort === 'newest') {
@@ -82,27 +267,356 @@
       filteredHighlights.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
     }
 
+    // Search ranks the best matches first; date breaks ties
+    return SenseNoteSearch.rank(filteredHighlights, searchQuery.terms);
+  }
+
+  // Render highlights: lay out the list's rows, then put the ones in view
+  // in the DOM
+  function renderHighlights() {
+    const filteredHighlights = getFilteredHighlights();
+    renderSelectionBar(filteredHighlights);
+
+    const cardsKey = JSON.stringify([searchQuery.terms, selecting]);
+    if (cardsKey !== cardCacheKey) {
+      cardCache = new WeakMap();
+      cardCacheKey = cardsKey;
+    }
+    highlightsContainer.classList.toggle("group-by-page", currentView.groupBy === 'page');
+    highlightsContainer.classList.toggle("group-by-domain", currentView.groupBy === 'domain');
+    highlightsContainer.classList.toggle("list-empty", filteredHighlights.length === 0);
+    listRows = [];
+    if (isDashboard) {
+      renderSidebar();
+      renderReadingPane();
+    }
+
     // Show empty state if no highlights
     if (filteredHighlights.length === 0) {
       emptyState.style.display = "flex";
       if (allHighlights.length > 0) {
         // Show filtered empty state
         emptyState.querySelector('h2').textContent = 'No matches found';
-        emptyState.querySelector('p').textContent = 'Try adjusting your filters.';
+        emptyState.querySelector('p').textContent = searchInput.value.trim()
+          ? 'Try another search or adjusting your filters.'
+          : 'Try adjusting your filters.';
       } else {
         // Show default empty state
         emptyState.querySelector('h2').textContent = 'No highlights yet';
         emptyState.querySelector('p').textContent = 'Start highlighting text on any webpage to save it here.';
       }
+      renderWindow();
       return;
     }
 
     emptyState.style.display = "none";
 
-    // Render each highlight
-    filteredHighlights.forEach((highlight) => {
-      const card = createHighlightCard(highlight);
-      highlightsContainer.appendChild(card);
+    const addCards = (highlights) => {
+      highlights.forEach((highlight) => {
+        listRows.push({ key: `card:${highlight.id}`, highlight: highlight });
+      });
+    };
+    if (currentView.groupBy !== 'none') {
+      groupHighlights(filteredHighlights).forEach((group) => {
+        listRows.push({ key: group.key, group: group });
+        if (!collapsedGroups.has(group.key)) addCards(group.highlights);
+      });
+    } else {
+      addCards(filteredHighlights);
+    }
+    renderWindow();
+  }
+
+  // Put a changed highlight in place of the old one. Only its card is
+  // rebuilt; the others keep theirs.
+  function patchHighlights(changed) {
+    const byId = new Map(changed.map((h) => [h.id, h]));
+    allHighlights = allHighlights.map((h) => byId.get(h.id) || h);
+    renderHighlights();
+  }
+
+  // Take deleted highlights out of the list
+  function dropHighlights(ids) {
+    allHighlights = allHighlights.filter((h) => !ids.includes(h.id));
+    ids.forEach((id) => selectedIds.delete(id));
+    renderHighlights();
+  }
+
+  // Build a highlight's card again, e.g. to close its editor, here and in
+  // the reading pane
+  function rebuildCard(highlight) {
+    cardCache.delete(highlight);
+    paneHighlights = [];
+    renderHighlights();
+  }
+
+  // ========== List Window ==========
+
+  // How far beyond the visible part to keep rows rendered, in pixels
+  const OVERSCAN = 600;
+  // Height guesses for rows not measured yet
+  const ESTIMATED_CARD_HEIGHT = 150;
+  const ESTIMATED_GROUP_HEIGHT = 52;
+
+  function scheduleWindow() {
+    if (windowFrame === null) {
+      windowFrame = requestAnimationFrame(renderWindow);
+    }
+  }
+
+  // Render the rows in view. Rows are placed with their measured heights,
+  // or guesses; measuring them may move the window, so repeat a few times.
+  function renderWindow() {
+    if (windowFrame !== null) {
+      cancelAnimationFrame(windowFrame);
+      windowFrame = null;
+    }
+    for (let pass = 0; pass < 3; pass++) {
+      placeRows();
+      // Hidden rows measure as nothing
+      if (highlightsContainer.offsetParent === null || !measureRows()) break;
+    }
+  }
+
+  function heightOf(row) {
+    return rowHeights.get(row.key) || (row.group ? ESTIMATED_GROUP_HEIGHT : ESTIMATED_CARD_HEIGHT);
+  }
+
+  // Scroll the list just enough to show a row, then render it
+  function scrollToRow(index) {
+    let top = topSpacer.offsetTop;
+    for (let i = 0; i < index; i++) top += heightOf(listRows[i]);
+    const bottom = top + heightOf(listRows[index]);
+    if (top < highlightsContainer.scrollTop) {
+      highlightsContainer.scrollTop = top;
+    } else if (bottom > highlightsContainer.scrollTop + highlightsContainer.clientHeight) {
+      highlightsContainer.scrollTop = bottom - highlightsContainer.clientHeight;
+    }
+    renderWindow();
+  }
+
+  // The rows between the spacers
+  function renderedRows() {
+    return [...highlightsContainer.children].filter((el) => el !== topSpacer && el !== bottomSpacer);
+  }
+
+  // Put the rows near the visible part of the list in the DOM, reusing
+  // the elements of rows already there
+  function placeRows() {
+    const offsets = [0];
+    listRows.forEach((row, index) => offsets.push(offsets[index] + heightOf(row)));
+
+    // The visible part in list coordinates: clipped by the list and by the
+    // window, measured from where the first row starts
+    const origin = topSpacer.getBoundingClientRect().top;
+    const box = highlightsContainer.getBoundingClientRect();
+    const viewTop = Math.max(box.top, 0) - origin - OVERSCAN;
+    const viewBottom = Math.min(box.bottom, window.innerHeight) - origin + OVERSCAN;
+
+    let start = 0;
+    while (start < listRows.length && offsets[start + 1] <= viewTop) start++;
+    let end = start;
+    while (end < listRows.length && offsets[end] < viewBottom) end++;
+
+    topSpacer.style.height = `${offsets[start]}px`;
+    bottomSpacer.style.height = `${offsets[listRows.length] - offsets[end]}px`;
+
+    const elements = listRows.slice(start, end).map(rowElement);
+    const keep = new Set(elements);
+    renderedRows().forEach((el) => {
+      if (!keep.has(el)) {
+        rowResizeObserver.unobserve(el);
+        el.remove();
+      }
+    });
+    let next = topSpacer.nextSibling;
+    elements.forEach((el) => {
+      if (el === next) {
+        next = next.nextSibling;
+        return;
+      }
+      highlightsContainer.insertBefore(el, next);
+      rowResizeObserver.observe(el);
+    });
+    renderedStart = start;
+  }
+
+  // Remember the rendered rows' heights, margins included. -> whether any
+  // changed
+  function measureRows() {
+    const elements = renderedRows();
+    let changed = false;
+    elements.forEach((el, index) => {
+      const next = elements[index + 1] || bottomSpacer;
+      const height = next.offsetTop - el.offsetTop;
+      const key = listRows[renderedStart + index].key;
+      if (Math.abs((rowHeights.get(key) || 0) - height) > 0.5) {
+        rowHeights.set(key, height);
+        changed = true;
+      }
+    });
+    return changed;
+  }
+
+  // The element for a row, built when first needed
+  function rowElement(row) {
+    if (row.group) {
+      if (!row.element) row.element = createHighlightGroup(row.group);
+      return row.element;
+    }
+    let card = cardCache.get(row.highlight);
+    if (!card) {
+      card = createHighlightCard(row.highlight);
+      cardCache.set(row.highlight, card);
+    }
+    // Picks may have changed while the card was out of view
+    showCardSelected(card, selectedIds.has(row.highlight.id));
+    card.classList.toggle("active", row.highlight.id === activeHighlightId);
+    return card;
+  }
+
+  // ========== Layout ==========
+
+  // Load the saved layout
+  function loadView() {
+    SenseNoteStore.getSettings()
+      .then((settings) => {
+        currentView = { groupBy: settings.groupBy, documentOrder: settings.documentOrder };
+        renderViewBar();
+        renderHighlights();
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not load settings:", error);
+      });
+  }
+
+  function renderViewBar() {
+    viewOptionButtons.forEach((button) => {
+      button.classList.toggle("active", button.dataset.groupBy === currentView.groupBy);
+    });
+    documentOrderInput.checked = currentView.documentOrder;
+    // A flat list mixes pages, so it has no page order
+    documentOrderInput.disabled = currentView.groupBy === 'none';
+  }
+
+  // Handle a layout change, and remember it for next time
+  function handleViewChange(changes) {
+    Object.assign(currentView, changes);
+    renderViewBar();
+    renderHighlights();
+    SenseNoteStore.updateSettings(currentView).catch((error) => {
+      console.error("SenseNote: Could not save settings:", error);
+    });
+  }
+
+  function siteOf(url) {
+    return new URL(url).hostname.replace(/^www\./, "");
+  }
+
+  // Highlights grouped by page or site, groups in the order of their first
+  // highlight: newest first, or best match first when searching
+  function groupHighlights(highlights) {
+    const byPage = currentView.groupBy === 'page';
+    const groups = new Map();
+    highlights.forEach((highlight) => {
+      const key = byPage ? highlight.pageKey || highlight.url : siteOf(highlight.url);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key: `${currentView.groupBy}:${key}`,
+          title: byPage ? highlight.pageTitle || highlight.url : key,
+          url: byPage ? highlight.url : null,
+          highlights: [],
+        });
+      }
+      groups.get(key).highlights.push(highlight);
+    });
+
+    const list = [...groups.values()];
+    if (currentView.documentOrder) {
+      list.forEach((group) => {
+        group.highlights = sortByDocumentOrder(group.highlights);
+      });
+    }
+    return list;
+  }
+
+  // Where a highlight starts in its page's text; Infinity when unknown
+  function positionOf(highlight) {
+    if (highlight.startOffset > 0 || highlight.endOffset > 0) {
+      return highlight.startOffset;
+    }
+    const position = (highlight.selectors || []).find((s) => s.type === "TextPositionSelector");
+    return position ? position.start : Infinity;
+  }
+
+  // Highlights in the order they appear on their page. Pages keep their
+  // order; highlights in frames and shadow roots follow the page's own.
+  function sortByDocumentOrder(highlights) {
+    const pageOrder = new Map();
+    highlights.forEach((h) => {
+      const page = h.pageKey || h.url;
+      if (!pageOrder.has(page)) pageOrder.set(page, pageOrder.size);
+    });
+    const scopeOf = (h) => (h.scope || []).join("/");
+
+    return highlights.slice().sort((a, b) =>
+      pageOrder.get(a.pageKey || a.url) - pageOrder.get(b.pageKey || b.url) ||
+      scopeOf(a).localeCompare(scopeOf(b)) ||
+      positionOf(a) - positionOf(b) ||
+      new Date(a.timestamp) - new Date(b.timestamp)
+    );
+  }
+
+  // Create a collapsible group's header, which its cards follow: the
+  // count, the newest highlight's date and, for pages, a link to open the
+  // page
+  function createHighlightGroup(group) {
+    const element = document.createElement("div");
+    element.className = "highlight-group";
+    element.classList.toggle("collapsed", collapsedGroups.has(group.key));
+
+    const newest = group.highlights.reduce((latest, h) => h.timestamp > latest ? h.timestamp : latest, "");
+    const count = group.highlights.length;
+
+    element.innerHTML = `
+      <div class="group-header">
+        <button class="group-toggle" title="${escapeHtml(group.url || group.title)}">
+          <span class="group-chevron">▾</span>
+          <span class="group-title">${escapeHtml(group.title)}</span>
+        </button>
+        ${group.url ? `<button class="group-open-btn" title="Open page">Open</button>` : ""}
+      </div>
+      <div class="group-meta">
+        ${count} highlight${count !== 1 ? "s" : ""} · newest ${formatDate(new Date(newest)).replace("Just now", "just now")}
+      </div>
+    `;
+
+    element.querySelector(".group-toggle").addEventListener("click", () => {
+      if (collapsedGroups.has(group.key)) {
+        collapsedGroups.delete(group.key);
+      } else {
+        collapsedGroups.add(group.key);
+      }
+      renderHighlights();
+    });
+
+    const openBtn = element.querySelector(".group-open-btn");
+    if (openBtn) {
+      openBtn.addEventListener("click", () => openPage(group.url));
+    }
+
+    return element;
+  }
+
+  // Switch to the page's tab when it's the current one, else open it
+  function openPage(url) {
+    chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
+      const current = tabs && tabs[0];
+      if (current && SenseNoteUrl.pageKey(current.url.split('#')[0], urlRules) === SenseNoteUrl.pageKey(url, urlRules)) {
+        window.close();
+      } else {
+        chrome.tabs.create({ url: url });
+      }
     });
   }
 
@@ -123,11 +637,15 @@
     // Truncate URL for display
     const displayUrl = new URL(highlight.url).hostname;
 
+    // Escaped text with the search terms marked
+    const mark = (text) => SenseNoteSearch.markMatches(text, searchQuery.terms);
+
     // Build card HTML
     card.innerHTML = `
       <div class="highlight-header">
+        ${selecting ? `<input type="checkbox" class="select-checkbox" tabindex="-1" ${selectedIds.has(highlight.id) ? "checked" : ""}>` : ""}
         <a href="${highlight.url}" class="page-title" title="${highlight.pageTitle}">
-          ${escapeHtml(highlight.pageTitle)}
+          ${mark(highlight.pageTitle)}
         </a>
         <div class="highlight-actions">
           <button class="action-btn menu-btn" title="Options">
@@ -138,6 +656,10 @@
               <img src="icons/edit.svg" alt="Edit" class="dropdown-icon">
               <span>Edit</span>
             </button>
+            <button class="dropdown-item history-btn">
+              <img src="icons/history.svg" alt="History" class="dropdown-icon">
+              <span>History</span>
+            </button>
             <button class="dropdown-item delete-btn">
               <img src="icons/trash-2.svg" alt="Delete" class="dropdown-icon">
               <span>Delete</span>
@@ -146,34 +668,53 @@
         </div>
       </div>
 
-      ${(() => {
-        const tags = highlight.tags || (highlight.category ? [highlight.category] : []);
-        return tags.map(tag => `<span class="highlight-category">${escapeHtml(tag)}</span>`).join('');
-      })()}
+      ${highlight.tags.map(tag => `<span class="highlight-category">${mark(tag)}</span>`).join('')}
+
+      ${
+        highlight.text
+          ? `<div class="highlight-text">${mark(highlight.text)}</div>`
+          : `<div class="highlight-text highlight-locked">🔒 Locked highlight</div>`
+      }
 
-      <div class="highlight-text">${escapeHtml(highlight.text)}</div>
+      ${
+        highlight.linkUrl
+          ? `<a href="${escapeHtml(highlight.linkUrl)}" class="highlight-link" title="${escapeHtml(highlight.linkUrl)}" target="_blank">${escapeHtml(highlight.linkUrl)}</a>`
+          : ""
+      }
 
       ${
-        highlight.note
-          ? `
+        highlight.locked
+          ? `<button class="unlock-note-btn">🔒 Locked · Unlock to read</button>`
+          : highlight.note
+            ? `
         <div class="highlight-note-label">Note</div>
-        <div class="highlight-note">${escapeHtml(highlight.note)}</div>
+        <div class="highlight-note">${mark(highlight.note)}</div>
       `
-          : ""
+            : ""
       }
 
       <div class="highlight-meta">
         <span class="highlight-date">${formattedDate}</span>
         <a href="${highlight.url}" class="highlight-url" title="${highlight.url}">
-          ${displayUrl}
+          ${mark(displayUrl)}
         </a>
       </div>
     `;
 
+    // In select mode a click anywhere on the card picks it, instead of
+    // opening links or menus
+    card.addEventListener("click", (e) => {
+      if (!selecting) return;
+      e.preventDefault();
+      e.stopPropagation();
+      handleCardSelect(highlight.id, e.shiftKey);
+    }, true);
+
     // Add event listeners
     const menuBtn = card.querySelector(".menu-btn");
     const dropdown = card.querySelector(".card-dropdown");
     const editBtn = card.querySelector(".edit-btn");
+    const historyBtn = card.querySelector(".history-btn");
     const deleteBtn = card.querySelector(".delete-btn");
     const pageTitle = card.querySelector(".page-title");
     const urlLink = card.querySelector(".highlight-url");
@@ -191,8 +732,26 @@
     editBtn.addEventListener("click", (e) => {
       e.stopPropagation();
       dropdown.classList.add('hidden');
-      handleEdit(highlight);
+      if (highlight.locked) {
+        promptUnlock();
+        return;
+      }
+      handleEdit(card, highlight);
+    });
+    historyBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      dropdown.classList.add('hidden');
+      if (highlight.locked) {
+        promptUnlock();
+        return;
+      }
+      toggleHistory(card, highlight);
     });
+
+    const unlockBtn = card.querySelector(".unlock-note-btn");
+    if (unlockBtn) {
+      unlockBtn.addEventListener("click", promptUnlock);
+    }
     deleteBtn.addEventListener("click", (e) => {
       e.stopPropagation();
       dropdown.classList.add('hidden');
@@ -212,6 +771,138 @@
     return card;
   }
 
+  // ========== Revision History ==========
+
+  // Show or hide the card's revision history, newest first
+  async function toggleHistory(card, highlight) {
+    const existing = card.querySelector(".history-panel");
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    let revisions;
+    try {
+      revisions = await SenseNoteStore.listRevisions(highlight.id);
+    } catch (error) {
+      console.error("SenseNote: Could not load history:", error);
+      alert("Could not load the history.");
+      return;
+    }
+
+    const panel = document.createElement("div");
+    panel.className = "history-panel";
+
+    if (revisions.length === 0) {
+      panel.innerHTML = '<p class="history-empty">No earlier versions. Edits to the note or tags show up here.</p>';
+    }
+
+    for (let i = revisions.length - 1; i >= 0; i--) {
+      panel.appendChild(createRevisionEntry(highlight, revisions[i], revisions[i - 1], i === revisions.length - 1));
+    }
+
+    card.querySelector(".highlight-meta").before(panel);
+  }
+
+  // One revision, shown as its changes against the one before it
+  function createRevisionEntry(highlight, revision, previous, isCurrent) {
+    const entry = document.createElement("div");
+    entry.className = "history-entry";
+
+    const previousTags = previous ? previous.tags : [];
+    const tagChanges = [
+      ...revision.tags.filter((tag) => !previousTags.includes(tag))
+        .map((tag) => `<span class="history-tag diff-added">+${escapeHtml(tag)}</span>`),
+      ...previousTags.filter((tag) => !revision.tags.includes(tag))
+        .map((tag) => `<span class="history-tag diff-removed">−${escapeHtml(tag)}</span>`),
+    ].join("");
+
+    const noteDiff = renderDiff(diffWords(previous ? previous.note : "", revision.note));
+
+    entry.innerHTML = `
+      <div class="history-entry-header">
+        <span class="history-date" title="${escapeHtml(new Date(revision.savedAt).toLocaleString())}">${formatDate(new Date(revision.savedAt))}</span>
+        ${
+          isCurrent
+            ? '<span class="history-current">Current</span>'
+            : '<button class="history-revert-btn">Revert</button>'
+        }
+      </div>
+      ${tagChanges ? `<div class="history-tags">${tagChanges}</div>` : ""}
+      <div class="history-note">${noteDiff || '<span class="history-no-note">No note</span>'}</div>
+    `;
+
+    const revertBtn = entry.querySelector(".history-revert-btn");
+    if (revertBtn) {
+      revertBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        SenseNoteStore.revert(highlight.id, revision.id)
+          .then((reverted) => {
+            patchHighlights([reverted]);
+          })
+          .catch((error) => {
+            console.error("SenseNote: Could not revert:", error);
+            alert("Could not revert to this version.");
+          });
+      });
+    }
+
+    return entry;
+  }
+
+  // Word-level diff of two texts: [{ type: 'same' | 'added' | 'removed', text }]
+  function diffWords(before, after) {
+    const a = before.split(/(\s+)/).filter(Boolean);
+    const b = after.split(/(\s+)/).filter(Boolean);
+
+    // lengths[i][j]: longest common subsequence of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+      const last = parts[parts.length - 1];
+      if (last && last.type === type) {
+        last.text += text;
+      } else {
+        parts.push({ type, text });
+      }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push("same", a[i++]);
+        j++;
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        push("removed", a[i++]);
+      } else {
+        push("added", b[j++]);
+      }
+    }
+    while (i < a.length) push("removed", a[i++]);
+    while (j < b.length) push("added", b[j++]);
+
+    return parts;
+  }
+
+  function renderDiff(parts) {
+    return parts
+      .map((part) => {
+        if (part.type === "added") return `<ins class="diff-added">${escapeHtml(part.text)}</ins>`;
+        if (part.type === "removed") return `<del class="diff-removed">${escapeHtml(part.text)}</del>`;
+        return escapeHtml(part.text);
+      })
+      .join("");
+  }
+
   // Get color class from color value
   function getColorClass(color) {
     const colorMap = {
@@ -253,12 +944,7 @@
 
   // Handle search input
   // Handle edit note
-  function handleEdit(highlight) {
-    const card = document.querySelector(
-      `[data-highlight-id="${highlight.id}"]`,
-    );
-    if (!card) return;
-
+  function handleEdit(card, highlight) {
     // Create edit interface
     const noteSection =
       card.querySelector(".highlight-note") || document.createElement("div");
@@ -300,45 +986,33 @@
     });
 
     cancelBtn.addEventListener("click", () => {
-      loadHighlights(); // Reload to cancel edit
+      rebuildCard(highlight); // Drop the editor
     });
   }
 
   // Update note in storage
   function updateNote(highlightId, note) {
-    chrome.storage.local.get(["highlights"], function (result) {
-      const highlights = result.highlights || [];
-      const highlight = highlights.find((h) => h.id === highlightId);
-
-      if (highlight) {
-        highlight.note = note;
-        highlight.lastModified = new Date().toISOString();
-
-        chrome.storage.local.set({ highlights: highlights }, function () {
-          loadHighlights(); // Reload to show updated note
-        });
-      }
-    });
+    SenseNoteStore.update(highlightId, { note: note })
+      .then((updated) => {
+        patchHighlights([updated]);
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not save note:", error);
+        alert("Could not save the note.");
+      });
   }
 
-  // Handle delete
+  // Handle delete (moves the highlight to the trash)
   function handleDelete(highlight) {
-    if (
-      !confirm(
-        `Delete this highlight?\n\n"${highlight.text.substring(0, 100)}..."`,
-      )
-    ) {
-      return;
-    }
-
-    chrome.storage.local.get(["highlights"], function (result) {
-      const highlights = result.highlights || [];
-      const filtered = highlights.filter((h) => h.id !== highlight.id);
-
-      chrome.storage.local.set({ highlights: filtered }, function () {
-        loadHighlights(); // Reload after deletion
+    SenseNoteStore.remove(highlight.id)
+      .then(() => {
+        dropHighlights([highlight.id]);
+        showUndoToast("Highlight moved to Trash", [highlight.id]);
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not delete highlight:", error);
+        alert("Could not delete the highlight.");
       });
-    });
   }
 
   // Navigate to highlight on page
@@ -348,11 +1022,11 @@
       
       if (tabs && tabs[0]) {
         const currentUrl = tabs[0].url.split('#')[0];
-        const targetUrl = highlight.url.split('#')[0];
+        const samePage = SenseNoteUrl.pageKey(currentUrl, urlRules) === SenseNoteUrl.pageKey(highlight.url, urlRules);
         
-        // If already on the same page, just update the current tab
-        if (currentUrl === targetUrl) {
-          chrome.tabs.update(tabs[0].id, { url: urlWithHash });
+        // If already on the same page, just update the current tab's hash
+        if (samePage) {
+          chrome.tabs.update(tabs[0].id, { url: currentUrl + '#sensenote-' + highlight.id });
         } else {
           // Otherwise create a new tab
           chrome.tabs.create({ url: urlWithHash });
@@ -368,120 +1042,626 @@
   function handleClearAll() {
     if (
       !confirm(
-        `Delete ALL ${allHighlights.length} highlights? This cannot be undone.`,
+        `Move all ${allHighlights.length} highlights to the Trash?`,
       )
     ) {
       return;
     }
 
-    chrome.storage.local.set({ highlights: [] }, function () {
-      loadHighlights();
-    });
+    SenseNoteStore.clear()
+      .then((ids) => {
+        loadHighlights();
+        showUndoToast(`${ids.length} highlight${ids.length !== 1 ? "s" : ""} moved to Trash`, ids);
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not clear highlights:", error);
+        alert("Could not delete the highlights.");
+      });
   }
 
-  // Handle export
-  function handleExport() {
-    if (allHighlights.length === 0) {
-      alert("No highlights to export.");
-      return;
-    }
+  // Show a short message at the bottom, optionally with an action button
+  function showToast(message, action) {
+    document.querySelectorAll(".toast").forEach((old) => old.remove());
 
-    // Create export data
-    const exportData = {
-      exportDate: new Date().toISOString(),
-      highlightCount: allHighlights.length,
-      highlights: allHighlights,
+    const toast = document.createElement("div");
+    toast.className = "toast";
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    const hide = () => {
+      toast.classList.remove("show");
+      setTimeout(() => toast.remove(), 300);
     };
 
-    // Create markdown format
-    let markdown = `# SenseNote Export\n\n`;
-    markdown += `Exported: ${new Date().toLocaleString()}\n`;
-    markdown += `Total Highlights: ${allHighlights.length}\n\n`;
-    markdown += `---\n\n`;
-
-    allHighlights.forEach((highlight, index) => {
-      markdown += `## ${index + 1}. ${highlight.pageTitle}\n\n`;
-      markdown += `**Highlighted Text:**\n> ${highlight.text}\n\n`;
-      if (highlight.note) {
-        markdown += `**Note:**\n${highlight.note}\n\n`;
-      }
-      markdown += `**Source:** [${highlight.url}](${highlight.url})\n`;
-      markdown += `**Date:** ${new Date(highlight.timestamp).toLocaleString()}\n\n`;
-      markdown += `---\n\n`;
-    });
+    if (action) {
+      const button = document.createElement("button");
+      button.className = "toast-action";
+      button.textContent = action.label;
+      button.addEventListener("click", () => {
+        hide();
+        action.onClick();
+      });
+      toast.appendChild(button);
+    }
 
-    // Download as file
-    const blob = new Blob([markdown], { type: "text/markdown" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `sensenote-export-${Date.now()}.md`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    setTimeout(() => toast.classList.add("show"), 10);
+    setTimeout(hide, action ? 6000 : 2000);
   }
 
-  // Handle search (placeholder)
-  function handleSearch() {
-    alert("Search functionality coming soon!");
+  // Tell the user what was deleted, with Undo to bring it back from the
+  // trash
+  function showUndoToast(message, ids) {
+    showToast(message, {
+      label: "Undo",
+      onClick: () => {
+        SenseNoteStore.restore(ids)
+          .then(() => {
+            loadHighlights();
+          })
+          .catch((error) => {
+            console.error("SenseNote: Could not restore highlights:", error);
+            alert("Could not restore the highlights.");
+          });
+      },
+    });
   }
 
-  // Handle filter
-  function handleFilter() {
-    // Get all unique categories/tags from highlights (support both tags array and old category field)
-    const allTags = [];
-    allHighlights.forEach(h => {
-      const tags = h.tags || (h.category ? [h.category] : []);
-      allTags.push(...tags);
-    });
-    const categories = [...new Set(allTags.filter(c => c && c.trim()))].sort();
-    
-    // Build category options HTML
-    const categoryOptionsHtml = categories.length > 0 
-      ? categories.map(cat => `
-          <label class="category-filter-option">
-            <input type="radio" name="category-filter" value="${escapeHtml(cat)}" ${currentFilters.category === cat ? 'checked' : ''}>
-            <span>${escapeHtml(cat)}</span>
-          </label>
-        `).join('')
-      : '<p class="no-categories">No categories yet</p>';
+  // Export formats offered in the export menu, in order
+  const EXPORT_FORMATS = [
+    { id: "json", label: "JSON", description: "Complete backup that can be imported again" },
+    { id: "csv", label: "CSV", description: "Spreadsheet with one row per highlight" },
+    { id: "html", label: "HTML", description: "Standalone page to read or print" },
+    { id: "md", label: "Markdown", description: "One file, grouped by page" },
+    { id: "vault", label: "Markdown per page", description: "Zip of page notes with YAML frontmatter" },
+  ];
+
+  // Handle export: the given highlights, those shown with the current
+  // filters or those selected, in the chosen format
+  function handleExport(highlights, selected) {
+    if (highlights.length === 0) {
+      alert("No highlights to export.");
+      return;
+    }
 
-    // Create filter modal
-    const modal = document.createElement('div');
-    modal.className = 'filter-modal';
+    const filtered = highlights.length < allHighlights.length;
+
+    const modal = document.createElement("div");
+    modal.className = "filter-modal";
     modal.innerHTML = `
       <div class="filter-content">
         <div class="filter-header">
-          <h3>Filter Highlights</h3>
+          <h3>Export Highlights</h3>
           <button class="close-modal-btn" title="Close">×</button>
         </div>
 
         <div class="filter-section">
-          <h4>Filter by Category</h4>
-          <div class="category-filters">
-            <label class="category-filter-option">
-              <input type="radio" name="category-filter" value="all" ${currentFilters.category === 'all' ? 'checked' : ''}>
-              <span>All Categories</span>
-            </label>
-            ${categoryOptionsHtml}
+          <h4>Format</h4>
+          <div class="export-formats">
+            ${EXPORT_FORMATS.map((format, index) => `
+              <label class="export-format-option">
+                <input type="radio" name="export-format" value="${format.id}" ${index === 0 ? "checked" : ""}>
+                <span class="export-format-label">${format.label}</span>
+                <span class="export-format-description">${format.description}</span>
+              </label>
+            `).join("")}
           </div>
         </div>
 
+        ${vaultStatus.enabled ? `
         <div class="filter-section">
-          <h4>Filter by Color</h4>
-          <div class="color-filters">
-            <label class="color-filter-option">
-              <input type="radio" name="color-filter" value="all" ${currentFilters.color === 'all' ? 'checked' : ''}>
-              <span>All Colors</span>
+          <h4>Encryption</h4>
+          <div class="export-formats">
+            <label class="export-format-option">
+              <input type="radio" name="export-encryption" value="decrypted" checked>
+              <span class="export-format-label">Decrypted</span>
+              <span class="export-format-description">Readable anywhere; needs the vault unlocked</span>
             </label>
-            <label class="color-filter-option">
-              <input type="radio" name="color-filter" value="#ffeb3b" ${currentFilters.color === '#ffeb3b' ? 'checked' : ''}>
-              <span class="color-swatch" style="background: #ffeb3b;"></span>
-              <span>Yellow</span>
+            <label class="export-format-option">
+              <input type="radio" name="export-encryption" value="encrypted">
+              <span class="export-format-label">Encrypted</span>
+              <span class="export-format-description">JSON only; imports back into this vault</span>
             </label>
-            <label class="color-filter-option">
-              <input type="radio" name="color-filter" value="#90caf9" ${currentFilters.color === '#90caf9' ? 'checked' : ''}>
+          </div>
+        </div>
+        ` : ""}
+
+        <p class="settings-help">
+          ${selected
+            ? `Exports the ${highlights.length} selected highlight${highlights.length !== 1 ? "s" : ""}.`
+            : filtered
+            ? `Exports the ${highlights.length} of ${allHighlights.length} highlights that match your filters.`
+            : `Exports all ${highlights.length} highlight${highlights.length !== 1 ? "s" : ""}.`}
+        </p>
+
+        <div class="filter-actions">
+          <button class="reset-filters-btn cancel-export-btn">Cancel</button>
+          <button class="apply-filters-btn confirm-export-btn">Export</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelector(".close-modal-btn").addEventListener("click", () => modal.remove());
+    modal.querySelector(".cancel-export-btn").addEventListener("click", () => modal.remove());
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    modal.querySelector(".confirm-export-btn").addEventListener("click", () => {
+      const format = modal.querySelector('input[name="export-format"]:checked').value;
+      const encryption = modal.querySelector('input[name="export-encryption"]:checked');
+      const encrypted = Boolean(encryption) && encryption.value === "encrypted";
+      if (encrypted && format !== "json") {
+        alert("Encrypted exports are JSON only.");
+        return;
+      }
+      if (!encrypted && highlights.some((h) => h.locked)) {
+        promptUnlock();
+        return;
+      }
+
+      // Encrypted exports take the highlights as stored, with the vault
+      // parameters needed to import them
+      const source = encrypted
+        ? SenseNoteStore.exportEncrypted(highlights.map((h) => h.id))
+        : Promise.resolve({ highlights: highlights, vault: null });
+      Promise.all([SenseNoteStore.listTags(), source])
+        .then(([tags, data]) => {
+          const customTags = tags.filter((tag) => tag.custom).map((tag) => tag.name);
+          const file = SenseNoteExport.build(format, data.highlights, { customTags, vault: data.vault });
+          downloadFile(file.filename, file.blob);
+          modal.remove();
+        })
+        .catch((error) => {
+          console.error("SenseNote: Could not export highlights:", error);
+          alert("Could not export the highlights.");
+        });
+    });
+  }
+
+  // Save a blob through a temporary download link
+  function downloadFile(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // ========== Selection ==========
+
+  // Colors a highlight can take, as in the page's color picker
+  const HIGHLIGHT_COLORS = [
+    { value: "#ffeb3b", label: "Yellow" },
+    { value: "#90caf9", label: "Blue" },
+    { value: "#ff9eb5", label: "Pink" },
+    { value: "#a5d6a7", label: "Green" },
+  ];
+
+  // Enter or leave select mode; either way nothing is picked
+  function setSelecting(on) {
+    selecting = on;
+    selectedIds.clear();
+    lastSelectedId = null;
+    selectBtn.textContent = on ? "Done" : "Select";
+    selectBtn.classList.toggle("active", on);
+    highlightsContainer.classList.toggle("selecting", on);
+    clearAllBtn.style.display = on ? "none" : "";
+    selectionBar.style.display = on ? "flex" : "none";
+    renderHighlights();
+  }
+
+  // Pick or unpick a card. With shift, the cards between the last one
+  // clicked and this one follow it.
+  function handleCardSelect(id, extend) {
+    const select = !selectedIds.has(id);
+    let range = [id];
+    if (extend && lastSelectedId) {
+      // Cards in list order, leaving out those in folded groups
+      const ids = listRows.filter((row) => row.highlight).map((row) => row.highlight.id);
+      const from = ids.indexOf(lastSelectedId);
+      const to = ids.indexOf(id);
+      if (from !== -1 && to !== -1) {
+        range = ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+      }
+    }
+    range.forEach((rangeId) => {
+      if (select) {
+        selectedIds.add(rangeId);
+      } else {
+        selectedIds.delete(rangeId);
+      }
+    });
+    lastSelectedId = id;
+    renderSelection();
+  }
+
+  // Pick every highlight that matches the filters and search, including
+  // those in folded groups
+  function handleSelectAll() {
+    getFilteredHighlights().forEach((h) => selectedIds.add(h.id));
+    renderSelection();
+  }
+
+  function handleSelectNone() {
+    selectedIds.clear();
+    lastSelectedId = null;
+    renderSelection();
+  }
+
+  // Show what's picked without rebuilding the cards
+  function renderSelection() {
+    const containers = isDashboard ? [highlightsContainer, readingPane] : [highlightsContainer];
+    containers.forEach((container) => {
+      container.querySelectorAll(".highlight-card").forEach((card) => {
+        showCardSelected(card, selectedIds.has(card.dataset.highlightId));
+      });
+    });
+    renderSelectionBar(getFilteredHighlights());
+  }
+
+  function showCardSelected(card, selected) {
+    card.classList.toggle("selected", selected);
+    const checkbox = card.querySelector(".select-checkbox");
+    if (checkbox) checkbox.checked = selected;
+  }
+
+  // The count, "select all" for the matching highlights not yet picked,
+  // and the actions, which need something picked
+  function renderSelectionBar(matching) {
+    if (!selecting) return;
+    const count = selectedIds.size;
+    selectionCount.textContent = `${count} selected`;
+    selectAllBtn.textContent = `Select all ${matching.length} matching`;
+    selectAllBtn.style.display = matching.some((h) => !selectedIds.has(h.id)) ? "" : "none";
+    selectNoneBtn.style.display = count > 0 ? "" : "none";
+    selectionActionButtons.forEach((button) => {
+      button.disabled = count === 0;
+    });
+  }
+
+  // The picked highlights, newest first. Some may be hidden by filters
+  // changed after picking them.
+  function selectedHighlights() {
+    return allHighlights
+      .filter((h) => selectedIds.has(h.id))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  // Ask in a modal how to change the picked highlights, then change them.
+  // fields is the modal's inputs; read(form) turns them into changes for
+  // SenseNoteStore.updateMany, or null while nothing is chosen.
+  function askSelectionChanges({ title, fields, confirmLabel, read }) {
+    const ids = [...selectedIds];
+    const modal = document.createElement("div");
+    modal.className = "filter-modal";
+    modal.innerHTML = `
+      <form class="filter-content">
+        <div class="filter-header">
+          <h3>${title}</h3>
+          <button type="button" class="close-modal-btn" title="Close">×</button>
+        </div>
+
+        <div class="filter-section">${fields}</div>
+
+        <p class="settings-help">
+          Changes the ${ids.length} selected highlight${ids.length !== 1 ? "s" : ""}.
+        </p>
+
+        <div class="filter-actions">
+          <button type="button" class="reset-filters-btn cancel-selection-btn">Cancel</button>
+          <button type="submit" class="apply-filters-btn">${confirmLabel}</button>
+        </div>
+      </form>
+    `;
+
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector("form");
+    modal.querySelector(".close-modal-btn").addEventListener("click", () => modal.remove());
+    modal.querySelector(".cancel-selection-btn").addEventListener("click", () => modal.remove());
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const changes = read(form);
+      if (!changes) return;
+
+      SenseNoteStore.updateMany(ids, changes)
+        .then((updated) => {
+          modal.remove();
+          patchHighlights(updated);
+        })
+        .catch((error) => {
+          console.error("SenseNote: Could not update highlights:", error);
+          alert("Could not update the highlights.");
+        });
+    });
+
+    const firstInput = form.querySelector("input");
+    if (firstInput) firstInput.focus();
+  }
+
+  // Add a tag, new or existing, to the picked highlights
+  async function handleSelectionAddTag() {
+    const tags = await getAllTags();
+    askSelectionChanges({
+      title: "Add Tag",
+      fields: `
+        <input class="selection-tag-input" type="text" list="selection-tag-options" placeholder="Tag name..." maxlength="30">
+        <datalist id="selection-tag-options">
+          ${tags.map((tag) => `<option value="${escapeHtml(tag.name)}"></option>`).join("")}
+        </datalist>
+      `,
+      confirmLabel: "Add",
+      read: (form) => {
+        const name = form.querySelector(".selection-tag-input").value.trim();
+        if (!name) return null;
+        // Reuse an existing tag's spelling
+        const existing = tags.find((tag) => tag.name.toLowerCase() === name.toLowerCase());
+        return { addTags: [existing ? existing.name : name] };
+      },
+    });
+  }
+
+  // Remove one of the picked highlights' tags from all of them
+  function handleSelectionRemoveTag() {
+    const tags = [...new Set(selectedHighlights().flatMap((h) => h.tags))].sort();
+    if (tags.length === 0) {
+      alert("The selected highlights have no tags.");
+      return;
+    }
+
+    askSelectionChanges({
+      title: "Remove Tag",
+      fields: `
+        <div class="category-filters">
+          ${tags.map((tag, index) => `
+            <label class="category-filter-option">
+              <input type="radio" name="selection-tag" value="${escapeHtml(tag)}" ${index === 0 ? "checked" : ""}>
+              <span>${escapeHtml(tag)}</span>
+            </label>
+          `).join("")}
+        </div>
+      `,
+      confirmLabel: "Remove",
+      read: (form) => ({ removeTags: [form.querySelector('input[name="selection-tag"]:checked').value] }),
+    });
+  }
+
+  // Give the picked highlights one color
+  function handleSelectionColor() {
+    askSelectionChanges({
+      title: "Change Color",
+      fields: `
+        <div class="color-filters">
+          ${HIGHLIGHT_COLORS.map((color, index) => `
+            <label class="color-filter-option">
+              <input type="radio" name="selection-color" value="${color.value}" ${index === 0 ? "checked" : ""}>
+              <span class="color-swatch" style="background: ${color.value};"></span>
+              <span>${color.label}</span>
+            </label>
+          `).join("")}
+        </div>
+      `,
+      confirmLabel: "Apply",
+      read: (form) => ({ color: form.querySelector('input[name="selection-color"]:checked').value }),
+    });
+  }
+
+  // Move the picked highlights to the trash
+  function handleSelectionDelete() {
+    const count = selectedIds.size;
+    if (!confirm(`Move ${count} highlight${count !== 1 ? "s" : ""} to the Trash?`)) {
+      return;
+    }
+
+    const ids = [...selectedIds];
+    SenseNoteStore.removeMany(ids)
+      .then(() => {
+        lastSelectedId = null;
+        dropHighlights(ids);
+        showUndoToast(`${ids.length} highlight${ids.length !== 1 ? "s" : ""} moved to Trash`, ids);
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not delete highlights:", error);
+        alert("Could not delete the highlights.");
+      });
+  }
+
+  // ========== Search ==========
+
+  // Handle search: open the search box, or close it when it's empty
+  function handleSearch() {
+    if (searchInput.style.display === "none") {
+      searchInput.style.display = "block";
+      searchInput.focus();
+    } else if (!searchInput.value) {
+      closeSearch();
+    } else {
+      searchInput.focus();
+    }
+  }
+
+  // Filter as the user types
+  function handleSearchInput() {
+    searchQuery = SenseNoteSearch.parse(searchInput.value);
+    renderSearchErrors();
+    updateSearchSuggestions();
+    runSearch();
+  }
+
+  // Look the query's words and phrases up in the store's full-text index,
+  // so only the highlights it finds get ranked, then render
+  function runSearch() {
+    const words = searchQuery.terms.join(" ");
+    if (!words) {
+      searchMatches = null;
+      renderHighlights();
+      return;
+    }
+
+    SenseNoteStore.search(words)
+      .then((ids) => {
+        // A newer search is on its way
+        if (words !== searchQuery.terms.join(" ")) return;
+        searchMatches = ids && new Set(ids);
+        renderHighlights();
+      })
+      .catch((error) => {
+        console.error("SenseNote: Search failed:", error);
+        searchMatches = null;
+        renderHighlights();
+      });
+  }
+
+  // Arrow keys pick a suggestion, Enter or Tab takes it. Escape closes the
+  // suggestions, then clears the search and closes the box.
+  function handleSearchKeydown(e) {
+    const suggesting = searchSuggestionsList.style.display !== "none";
+    if (suggesting && (e.key === "ArrowDown" || e.key === "ArrowUp")) {
+      e.preventDefault();
+      const count = searchSuggestions.options.length;
+      activeSuggestion = (activeSuggestion + (e.key === "ArrowDown" ? 1 : -1) + count) % count;
+      renderSearchSuggestions();
+    } else if (suggesting && (e.key === "Enter" || e.key === "Tab")) {
+      e.preventDefault();
+      applySearchSuggestion(searchSuggestions.options[activeSuggestion]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      if (suggesting) {
+        hideSearchSuggestions();
+      } else {
+        closeSearch();
+      }
+    }
+  }
+
+  function closeSearch() {
+    searchInput.style.display = "none";
+    hideSearchSuggestions();
+    if (searchInput.value) {
+      searchInput.value = "";
+      handleSearchInput();
+    }
+  }
+
+  // Show what's wrong with the clauses the search left out
+  function renderSearchErrors() {
+    const errors = searchQuery.errors;
+    searchInput.classList.toggle("search-input-invalid", errors.length > 0);
+    searchError.style.display = errors.length > 0 ? "block" : "none";
+    searchError.textContent = errors
+      .map((error) => `${searchInput.value.slice(error.start, error.end)}: ${error.message}`)
+      .join("\n");
+  }
+
+  // Suggest filter names and values for the clause at the caret
+  function updateSearchSuggestions() {
+    const tags = new Set();
+    const sites = new Set();
+    allHighlights.forEach((h) => {
+      h.tags.forEach((tag) => tags.add(tag));
+      sites.add(new URL(h.url).hostname.replace(/^www\./, ""));
+    });
+
+    searchSuggestions = SenseNoteSearch.suggest(searchInput.value, searchInput.selectionStart, {
+      tags: [...tags].sort(),
+      sites: [...sites].sort(),
+    });
+    searchSuggestions.options = searchSuggestions.options.slice(0, 8);
+    activeSuggestion = 0;
+    renderSearchSuggestions();
+  }
+
+  function renderSearchSuggestions() {
+    if (!searchSuggestions || searchSuggestions.options.length === 0) {
+      hideSearchSuggestions();
+      return;
+    }
+
+    searchSuggestionsList.innerHTML = "";
+    searchSuggestions.options.forEach((option, index) => {
+      const item = document.createElement("button");
+      item.className = "search-suggestion" + (index === activeSuggestion ? " active" : "");
+      item.textContent = option.label;
+      item.addEventListener("click", () => applySearchSuggestion(option));
+      searchSuggestionsList.appendChild(item);
+    });
+    searchSuggestionsList.style.display = "block";
+  }
+
+  function hideSearchSuggestions() {
+    searchSuggestionsList.style.display = "none";
+  }
+
+  // Put a suggestion in place of what was typed of it
+  function applySearchSuggestion(option) {
+    const { start, end } = searchSuggestions;
+    const value = searchInput.value;
+    searchInput.value = value.slice(0, start) + option.text + value.slice(end);
+    const caret = start + option.text.length;
+    searchInput.setSelectionRange(caret, caret);
+    handleSearchInput();
+  }
+
+  // Handle filter
+  function handleFilter() {
+    // Get all unique tags from highlights
+    const allTags = allHighlights.flatMap(h => h.tags);
+    const categories = [...new Set(allTags)].sort();
+    
+    // Build category options HTML
+    const categoryOptionsHtml = categories.length > 0 
+      ? categories.map(cat => `
+          <label class="category-filter-option">
+            <input type="radio" name="category-filter" value="${escapeHtml(cat)}" ${currentFilters.category === cat ? 'checked' : ''}>
+            <span>${escapeHtml(cat)}</span>
+          </label>
+        `).join('')
+      : '<p class="no-categories">No categories yet</p>';
+
+    // Create filter modal
+    const modal = document.createElement('div');
+    modal.className = 'filter-modal';
+    modal.innerHTML = `
+      <div class="filter-content">
+        <div class="filter-header">
+          <h3>Filter Highlights</h3>
+          <button class="close-modal-btn" title="Close">×</button>
+        </div>
+
+        <div class="filter-section">
+          <h4>Filter by Category</h4>
+          <div class="category-filters">
+            <label class="category-filter-option">
+              <input type="radio" name="category-filter" value="all" ${currentFilters.category === 'all' ? 'checked' : ''}>
+              <span>All Categories</span>
+            </label>
+            ${categoryOptionsHtml}
+          </div>
+        </div>
+
+        <div class="filter-section">
+          <h4>Filter by Color</h4>
+          <div class="color-filters">
+            <label class="color-filter-option">
+              <input type="radio" name="color-filter" value="all" ${currentFilters.color === 'all' ? 'checked' : ''}>
+              <span>All Colors</span>
+            </label>
+            <label class="color-filter-option">
+              <input type="radio" name="color-filter" value="#ffeb3b" ${currentFilters.color === '#ffeb3b' ? 'checked' : ''}>
+              <span class="color-swatch" style="background: #ffeb3b;"></span>
+              <span>Yellow</span>
+            </label>
+            <label class="color-filter-option">
+              <input type="radio" name="color-filter" value="#90caf9" ${currentFilters.color === '#90caf9' ? 'checked' : ''}>
               <span class="color-swatch" style="background: #90caf9;"></span>
               <span>Blue</span>
             </label>
@@ -543,6 +1723,7 @@
       currentFilters = {
         color: 'all',
         category: 'all',
+        site: 'all',
         dateSort: 'newest'
       };
       renderHighlights();
@@ -571,33 +1752,9 @@
 
   // Get all unique tags from highlights and custom tags
   function getAllTags() {
-    return new Promise((resolve) => {
-      chrome.storage.local.get(["customTags"], function(result) {
-        const tagCounts = {};
-        const customTags = result.customTags || [];
-        
-        // Add custom tags with 0 count
-        customTags.forEach(tag => {
-          tagCounts[tag] = 0;
-        });
-        
-        // Get tags from highlights (support both tags array and old category field)
-        allHighlights.forEach(h => {
-          const tags = h.tags || (h.category ? [h.category] : []);
-          tags.forEach(tag => {
-            if (tag && tag.trim()) {
-              const trimmedTag = tag.trim();
-              tagCounts[trimmedTag] = (tagCounts[trimmedTag] || 0) + 1;
-            }
-          });
-        });
-
-        const tags = Object.entries(tagCounts)
-          .map(([name, count]) => ({ name, count }))
-          .sort((a, b) => a.name.localeCompare(b.name));
-        
-        resolve(tags);
-      });
+    return SenseNoteStore.listTags().catch((error) => {
+      console.error("SenseNote: Could not load tags:", error);
+      return [];
     });
   }
 
@@ -720,15 +1877,14 @@
       }
 
       // Store the new tag
-      chrome.storage.local.get(["customTags"], function(result) {
-        const customTags = result.customTags || [];
-        if (!customTags.includes(tagName)) {
-          customTags.push(tagName);
-          chrome.storage.local.set({ customTags: customTags }, function() {
-            renderTags();
-          });
-        }
-      });
+      SenseNoteStore.addTag(tagName)
+        .then(() => {
+          renderTags();
+        })
+        .catch((error) => {
+          console.error("SenseNote: Could not add tag:", error);
+          alert("Could not add the tag.");
+        });
     };
 
     // Cancel handler
@@ -815,71 +1971,811 @@
 
   // Rename tag across all highlights
   function renameTag(oldName, newName) {
-    chrome.storage.local.get(["highlights", "customTags"], function(result) {
-      const highlights = result.highlights || [];
-      let updated = false;
-
-      highlights.forEach(h => {
-        // Update in category field
-        if (h.category === oldName) {
-          h.category = newName;
-          updated = true;
-        }
-        
-        // Update in tags array
-        if (h.tags && Array.isArray(h.tags)) {
-          const index = h.tags.indexOf(oldName);
-          if (index !== -1) {
-            h.tags[index] = newName;
-            updated = true;
-          }
-        }
+    SenseNoteStore.renameTag(oldName, newName)
+      .then(reloadAfterTagChange)
+      .catch((error) => {
+        console.error("SenseNote: Could not rename tag:", error);
+        alert("Could not rename the tag.");
       });
+  }
 
-      // Also update customTags if present
-      let customTags = result.customTags || [];
-      const customIndex = customTags.indexOf(oldName);
-      if (customIndex !== -1) {
-        customTags[customIndex] = newName;
-      }
+  // Delete tag from all highlights
+  function deleteTag(tagName) {
+    SenseNoteStore.deleteTag(tagName)
+      .then(reloadAfterTagChange)
+      .catch((error) => {
+        console.error("SenseNote: Could not delete tag:", error);
+        alert("Could not delete the tag.");
+      });
+  }
 
-      if (updated || customIndex !== -1) {
-        chrome.storage.local.set({ highlights: highlights, customTags: customTags }, function() {
-          allHighlights = highlights;
-          renderTags();
+  // Pick up the renamed / removed tags on every highlight
+  async function reloadAfterTagChange() {
+    allHighlights = await SenseNoteStore.query();
+    renderTags();
+  }
+
+  // ========== Trash ==========
+
+  // Show trash view
+  function showTrashView() {
+    toolbar.style.display = "none";
+    mainView.style.display = "none";
+    document.querySelector("footer").style.display = "none";
+    trashView.style.display = "flex";
+    renderTrash();
+  }
+
+  // Hide trash view
+  function hideTrashView() {
+    trashView.style.display = "none";
+    toolbar.style.display = "flex";
+    mainView.style.display = "block";
+    document.querySelector("footer").style.display = "block";
+    loadHighlights(); // Pick up restored highlights
+  }
+
+  // Render trashed highlights
+  async function renderTrash() {
+    let trashed = [];
+    let settings = null;
+    try {
+      [trashed, settings] = await Promise.all([SenseNoteStore.listTrash(), SenseNoteStore.getSettings()]);
+    } catch (error) {
+      console.error("SenseNote: Could not load the trash:", error);
+    }
+
+    trashList.innerHTML = "";
+    document.getElementById("trash-retention").textContent = settings
+      ? `Highlights are deleted for good ${settings.trashRetentionDays} days after being moved here.`
+      : "";
+
+    trashEmpty.style.display = trashed.length === 0 ? "flex" : "none";
+    emptyTrashBtn.disabled = trashed.length === 0;
+
+    trashed.forEach((highlight) => {
+      trashList.appendChild(createTrashItem(highlight));
+    });
+  }
+
+  // Create trashed highlight element
+  function createTrashItem(highlight) {
+    const item = document.createElement("div");
+    item.className = `highlight-card trash-item ${getColorClass(highlight.color)}`;
+
+    item.innerHTML = `
+      <div class="highlight-text">${highlight.text ? escapeHtml(highlight.text) : "🔒 Locked highlight"}</div>
+      <div class="trash-item-meta">
+        ${escapeHtml(highlight.pageTitle || new URL(highlight.url).hostname)} · Deleted ${formatDate(new Date(highlight.deletedAt))}
+      </div>
+      <div class="trash-item-actions">
+        <button class="trash-restore-btn">Restore</button>
+        <button class="trash-purge-btn">Delete Forever</button>
+      </div>
+    `;
+
+    item.querySelector(".trash-restore-btn").addEventListener("click", () => {
+      SenseNoteStore.restore([highlight.id])
+        .then(renderTrash)
+        .catch((error) => {
+          console.error("SenseNote: Could not restore highlight:", error);
+          alert("Could not restore the highlight.");
         });
-      }
     });
+
+    item.querySelector(".trash-purge-btn").addEventListener("click", () => {
+      if (!confirm("Delete this highlight for good? This cannot be undone.")) return;
+      SenseNoteStore.purge([highlight.id])
+        .then(renderTrash)
+        .catch((error) => {
+          console.error("SenseNote: Could not delete highlight:", error);
+          alert("Could not delete the highlight.");
+        });
+    });
+
+    return item;
   }
 
-  // Delete tag from all highlights
-  async function deleteTag(tagName) {
-    chrome.storage.local.get(["highlights", "customTags"], function(result) {
-      const highlights = result.highlights || [];
-      
-      highlights.forEach(h => {
-        // Remove from category field
-        if (h.category === tagName) {
-          h.category = "";
-        }
-        
-        // Remove from tags array
-        if (h.tags && Array.isArray(h.tags)) {
-          h.tags = h.tags.filter(t => t !== tagName);
+  // Handle empty trash
+  function handleEmptyTrash() {
+    if (!confirm("Delete everything in the Trash for good? This cannot be undone.")) {
+      return;
+    }
+
+    SenseNoteStore.emptyTrash()
+      .then(renderTrash)
+      .catch((error) => {
+        console.error("SenseNote: Could not empty the trash:", error);
+        alert("Could not empty the Trash.");
+      });
+  }
+
+  // ========== Settings ==========
+
+  // Show settings view
+  function showSettingsView() {
+    toolbar.style.display = "none";
+    mainView.style.display = "none";
+    document.querySelector("footer").style.display = "none";
+    settingsView.style.display = "flex";
+    renderUrlRules();
+    SenseNoteStore.getSyncStatus()
+      .then(renderSyncStatus)
+      .catch((error) => {
+        console.error("SenseNote: Could not load sync status:", error);
+      });
+    SenseNoteStore.getVaultStatus()
+      .then(renderVaultStatus)
+      .catch((error) => {
+        console.error("SenseNote: Could not load the vault status:", error);
+      });
+    SenseNoteStore.getSettings()
+      .then((settings) => {
+        trashRetentionDaysInput.value = settings.trashRetentionDays;
+        vaultLockMinutesInput.value = settings.vaultLockMinutes;
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not load settings:", error);
+      });
+  }
+
+  // Handle trash retention change
+  function handleRetentionChange() {
+    const days = parseInt(trashRetentionDaysInput.value, 10);
+    if (!(days >= 1 && days <= 365)) {
+      alert("Enter a number of days between 1 and 365.");
+      return;
+    }
+
+    SenseNoteStore.updateSettings({ trashRetentionDays: days }).catch((error) => {
+      console.error("SenseNote: Could not save settings:", error);
+      alert("Could not save the setting.");
+    });
+  }
+
+  // Hide settings view
+  function hideSettingsView() {
+    settingsView.style.display = "none";
+    toolbar.style.display = "flex";
+    mainView.style.display = "block";
+    document.querySelector("footer").style.display = "block";
+  }
+
+  // Load URL rules from storage
+  function loadUrlRules() {
+    SenseNoteStore.getUrlRules()
+      .then((rules) => {
+        urlRules = rules;
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not load URL rules:", error);
+      });
+  }
+
+  // Render URL rules list
+  function renderUrlRules() {
+    urlRulesList.innerHTML = "";
+
+    if (urlRules.length === 0) {
+      urlRulesList.innerHTML = '<p class="url-rules-empty">No rules yet</p>';
+      return;
+    }
+
+    urlRules.forEach((rule) => {
+      const description = rule.ignoreQuery
+        ? "Ignores the query string"
+        : `Ignores ${rule.ignoreParams.join(", ")}`;
+
+      const row = document.createElement("div");
+      row.className = "url-rule";
+      row.innerHTML = `
+        <div class="url-rule-text">
+          <span class="url-rule-domain">${escapeHtml(rule.domain)}</span>
+          <span class="url-rule-description">${escapeHtml(description)}</span>
+        </div>
+        <button class="tag-pill-delete" title="Remove rule">×</button>
+      `;
+
+      row.querySelector(".tag-pill-delete").addEventListener("click", () => {
+        saveUrlRules(urlRules.filter((r) => r !== rule));
+      });
+
+      urlRulesList.appendChild(row);
+    });
+  }
+
+  // Handle add URL rule
+  function handleAddUrlRule(e) {
+    e.preventDefault();
+
+    const domainInput = document.getElementById("url-rule-domain");
+    const ignoreQueryInput = document.getElementById("url-rule-ignore-query");
+    const paramsInput = document.getElementById("url-rule-params");
+
+    const rule = SenseNoteUrl.normalizeRules([{
+      domain: domainInput.value,
+      ignoreQuery: ignoreQueryInput.checked,
+      ignoreParams: paramsInput.value.split(",")
+    }])[0];
+
+    if (!rule) {
+      alert("Enter a domain, like docs.example.com.");
+      domainInput.focus();
+      return;
+    }
+    if (!rule.ignoreQuery && rule.ignoreParams.length === 0) {
+      alert("Choose what to ignore: the whole query string or some parameters.");
+      return;
+    }
+
+    // One rule per domain; a new one replaces the old
+    saveUrlRules([...urlRules.filter((r) => r.domain !== rule.domain), rule]);
+    urlRuleForm.reset();
+  }
+
+  // Save URL rules; saved highlights are matched to pages again
+  function saveUrlRules(rules) {
+    SenseNoteStore.setUrlRules(rules)
+      .then((saved) => {
+        urlRules = saved;
+        renderUrlRules();
+        loadHighlights();
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not save URL rules:", error);
+        alert("Could not save the rules.");
+      });
+  }
+
+  // ========== Sync ==========
+
+  // Show whether sync is on and how the last sync went
+  function renderSyncStatus(status) {
+    syncEnabledInput.checked = status.enabled;
+    syncNowBtn.disabled = !status.enabled || status.syncing;
+    syncStatusText.classList.toggle("sync-error", Boolean(status.enabled && status.lastError));
+
+    if (!status.enabled) {
+      syncStatusText.textContent = "Off. Highlights stay on this browser.";
+    } else if (status.syncing) {
+      syncStatusText.textContent = "Syncing…";
+    } else if (status.lastError) {
+      syncStatusText.textContent = `Sync failed: ${status.lastError}`;
+    } else if (!status.lastSync) {
+      syncStatusText.textContent = "Not synced yet.";
+    } else {
+      const used = Math.ceil(status.bytesInUse / 1024);
+      const quota = Math.floor(status.quotaBytes / 1024);
+      let text = `Synced ${formatDate(new Date(status.lastSync)).toLowerCase()}: ` +
+        `${status.highlights} highlight${status.highlights !== 1 ? "s" : ""}, ${used} of ${quota} KB used.`;
+      if (status.skipped > 0) {
+        text += ` ${status.skipped} older highlight${status.skipped !== 1 ? "s don't" : " doesn't"} fit and stay${status.skipped !== 1 ? "" : "s"} on this browser.`;
+      }
+      syncStatusText.textContent = text;
+    }
+  }
+
+  // Handle turning sync on or off
+  function handleSyncToggle() {
+    const enabled = syncEnabledInput.checked;
+    if (enabled) {
+      renderSyncStatus({ enabled: true, syncing: true });
+    }
+    SenseNoteStore.setSyncEnabled(enabled)
+      .then(renderSyncStatus)
+      .catch((error) => {
+        console.error("SenseNote: Could not change sync:", error);
+        alert("Could not change the sync setting.");
+        syncEnabledInput.checked = !enabled;
+      });
+  }
+
+  // Handle sync now
+  function handleSyncNow() {
+    SenseNoteStore.syncNow()
+      .then(renderSyncStatus)
+      .catch((error) => {
+        console.error("SenseNote: Could not sync:", error);
+        alert("Could not sync.");
+      });
+  }
+
+  // ========== Vault ==========
+
+  // Load the vault status; ask for the passphrase when it's locked
+  function loadVaultStatus() {
+    SenseNoteStore.getVaultStatus()
+      .then((status) => {
+        renderVaultStatus(status);
+        if (status.enabled && !status.unlocked && !document.querySelector(".vault-modal")) {
+          promptUnlock();
         }
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not load the vault status:", error);
       });
+  }
 
-      // Also remove from customTags if present
-      let customTags = result.customTags || [];
-      customTags = customTags.filter(t => t !== tagName);
+  function renderVaultStatus(status) {
+    vaultStatus = status;
+    vaultSetupForm.style.display = status.enabled ? "none" : "flex";
+    vaultControls.style.display = status.enabled ? "flex" : "none";
+    if (!status.enabled) return;
 
-      chrome.storage.local.set({ highlights: highlights, customTags: customTags }, function() {
-        allHighlights = highlights;
-        renderTags();
+    const encrypted = status.encryptText ? "Notes and highlighted text are" : "Notes are";
+    vaultStatusText.textContent = `${status.unlocked ? "Unlocked" : "Locked"}. ${encrypted} encrypted.`;
+    vaultLockBtn.textContent = status.unlocked ? "Lock Now" : "Unlock…";
+  }
+
+  // Ask for the passphrase in a modal. submit(passphrase) runs on confirm
+  // and its errors show in the modal, so a typo can be fixed. -> submit's
+  // result, or null if the user cancels
+  function askPassphrase({ title, message, confirmLabel, submit }) {
+    return new Promise((resolve) => {
+      const modal = document.createElement("div");
+      modal.className = "filter-modal";
+      modal.innerHTML = `
+        <form class="filter-content vault-modal">
+          <div class="filter-header">
+            <h3>${title}</h3>
+            <button type="button" class="close-modal-btn" title="Close">×</button>
+          </div>
+
+          <p class="settings-help">${message}</p>
+          <input class="vault-passphrase-input" type="password" placeholder="Passphrase" autocomplete="current-password" />
+          <p class="vault-error sync-error"></p>
+
+          <div class="filter-actions">
+            <button type="button" class="reset-filters-btn cancel-vault-btn">Cancel</button>
+            <button type="submit" class="apply-filters-btn confirm-vault-btn">${confirmLabel}</button>
+          </div>
+        </form>
+      `;
+
+      document.body.appendChild(modal);
+
+      const input = modal.querySelector(".vault-passphrase-input");
+      const errorText = modal.querySelector(".vault-error");
+      const confirmBtn = modal.querySelector(".confirm-vault-btn");
+      const close = (result) => {
+        modal.remove();
+        resolve(result);
+      };
+
+      modal.querySelector(".close-modal-btn").addEventListener("click", () => close(null));
+      modal.querySelector(".cancel-vault-btn").addEventListener("click", () => close(null));
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) close(null);
+      });
+
+      modal.querySelector("form").addEventListener("submit", (e) => {
+        e.preventDefault();
+        if (!input.value) return;
+
+        confirmBtn.disabled = true;
+        errorText.textContent = "";
+        submit(input.value)
+          .then(close)
+          .catch((error) => {
+            console.error("SenseNote: Vault request failed:", error);
+            errorText.textContent = error.message === "Wrong passphrase"
+              ? "Wrong passphrase. Try again."
+              : "Something went wrong. Try again.";
+            confirmBtn.disabled = false;
+            input.select();
+          });
+      });
+
+      input.focus();
+    });
+  }
+
+  // Unlock the vault, then show the decrypted highlights here and on the
+  // current page
+  function promptUnlock() {
+    askPassphrase({
+      title: "Unlock Vault",
+      message: "Enter your passphrase to read and edit encrypted notes.",
+      confirmLabel: "Unlock",
+      submit: (passphrase) => SenseNoteStore.unlockVault(passphrase),
+    }).then((status) => {
+      if (!status) return;
+      renderVaultStatus(status);
+      loadHighlights();
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]) return;
+        chrome.tabs.sendMessage(tabs[0].id, { action: "vaultUnlocked" }, () => {
+          // Pages without the content script don't answer
+          void chrome.runtime.lastError;
+        });
       });
     });
   }
 
+  // Handle turning the vault on
+  function handleVaultSetup(e) {
+    e.preventDefault();
+    const passphrase = vaultPassphraseInput.value;
+    if (passphrase.length < 8) {
+      alert("Use a passphrase of at least 8 characters.");
+      return;
+    }
+    if (passphrase !== vaultPassphraseConfirmInput.value) {
+      alert("The passphrases don't match.");
+      return;
+    }
+    if (!confirm("If you forget this passphrase, your encrypted notes can't be recovered. Turn on the vault?")) {
+      return;
+    }
+
+    const submitBtn = vaultSetupForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    submitBtn.textContent = "Encrypting…";
+    SenseNoteStore.setupVault(passphrase, vaultEncryptTextInput.checked)
+      .then((status) => {
+        vaultPassphraseInput.value = "";
+        vaultPassphraseConfirmInput.value = "";
+        renderVaultStatus(status);
+        loadHighlights();
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not turn on the vault:", error);
+        alert("Could not turn on the vault.");
+      })
+      .finally(() => {
+        submitBtn.disabled = false;
+        submitBtn.textContent = "Turn On Vault";
+      });
+  }
+
+  // Handle lock now (or unlock, when locked)
+  function handleVaultLock() {
+    if (!vaultStatus.unlocked) {
+      promptUnlock();
+      return;
+    }
+    SenseNoteStore.lockVault()
+      .then((status) => {
+        renderVaultStatus(status);
+        loadHighlights();
+      })
+      .catch((error) => {
+        console.error("SenseNote: Could not lock the vault:", error);
+        alert("Could not lock the vault.");
+      });
+  }
+
+  // Handle lock timeout change
+  function handleVaultLockMinutesChange() {
+    const minutes = parseInt(vaultLockMinutesInput.value, 10);
+    if (!(minutes >= 1 && minutes <= 1440)) {
+      alert("Enter a number of minutes between 1 and 1440.");
+      return;
+    }
+
+    SenseNoteStore.updateSettings({ vaultLockMinutes: minutes }).catch((error) => {
+      console.error("SenseNote: Could not save settings:", error);
+      alert("Could not save the setting.");
+    });
+  }
+
+  // Handle turning the vault off: decrypts everything
+  function handleVaultDisable() {
+    askPassphrase({
+      title: "Turn Off Vault",
+      message: "Your notes will be decrypted and saved unencrypted again.",
+      confirmLabel: "Turn Off",
+      submit: (passphrase) => SenseNoteStore.disableVault(passphrase),
+    }).then((status) => {
+      if (!status) return;
+      renderVaultStatus(status);
+      loadHighlights();
+    });
+  }
+
+  // ========== Import ==========
+
+  // Read the chosen file and preview what importing it would change
+  async function handleImportFile() {
+    const file = importFile.files[0];
+    importFile.value = ""; // Allow choosing the same file again
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      alert("This file isn't valid JSON.");
+      return;
+    }
+
+    try {
+      const summary = await SenseNoteStore.previewImport(data);
+      showImportPreview(data, summary);
+    } catch (error) {
+      console.error("SenseNote: Could not read import:", error);
+      alert(error.message);
+    }
+  }
+
+  // Show the import preview; nothing is written until the user confirms
+  function showImportPreview(data, summary) {
+    const sampleList = (samples, total) => {
+      if (samples.length === 0) return "";
+      const more = total > samples.length ? `<li class="import-more">and ${total - samples.length} more</li>` : "";
+      return `<ul class="import-samples">${samples.map((h) => `
+        <li>
+          <span class="import-sample-text">${escapeHtml(h.text)}</span>
+          <span class="import-sample-page">${escapeHtml(h.pageTitle || h.url)}</span>
+        </li>`).join("")}${more}</ul>`;
+    };
+
+    const nothingToDo = summary.added === 0 && summary.updated === 0 && summary.newTags.length === 0;
+
+    const modal = document.createElement("div");
+    modal.className = "filter-modal";
+    modal.innerHTML = `
+      <div class="filter-content">
+        <div class="filter-header">
+          <h3>Import Preview</h3>
+          <button class="close-modal-btn" title="Close">×</button>
+        </div>
+
+        <div class="filter-section">
+          <h4>${summary.added} new highlight${summary.added !== 1 ? "s" : ""}</h4>
+          ${sampleList(summary.samples.added, summary.added)}
+        </div>
+
+        <div class="filter-section">
+          <h4>${summary.updated} updated (newer in the file)</h4>
+          ${sampleList(summary.samples.updated, summary.updated)}
+        </div>
+
+        <div class="filter-section">
+          <h4>${summary.newTags.length} new tag${summary.newTags.length !== 1 ? "s" : ""}</h4>
+          ${summary.newTags.map((tag) => `<span class="highlight-category">${escapeHtml(tag)}</span>`).join("")}
+        </div>
+
+        <p class="settings-help">
+          ${summary.unchanged} already up to date${summary.invalid ? `, ${summary.invalid} skipped (missing text or URL)` : ""}.
+        </p>
+
+        <div class="filter-actions">
+          <button class="reset-filters-btn cancel-import-btn">Cancel</button>
+          <button class="apply-filters-btn confirm-import-btn" ${nothingToDo ? "disabled" : ""}>Import</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    modal.querySelector(".close-modal-btn").addEventListener("click", () => modal.remove());
+    modal.querySelector(".cancel-import-btn").addEventListener("click", () => modal.remove());
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    modal.querySelector(".confirm-import-btn").addEventListener("click", () => {
+      SenseNoteStore.importBackup(data)
+        .then((result) => {
+          modal.remove();
+          loadHighlights();
+          alert(`Imported ${result.added} new and ${result.updated} updated highlight${result.added + result.updated !== 1 ? "s" : ""}.`);
+        })
+        .catch((error) => {
+          console.error("SenseNote: Import failed:", error);
+          alert("Import failed. Nothing was changed.");
+        });
+    });
+  }
+
+  // ========== Dashboard ==========
+
+  // The dashboard is also the options page, so the browser reuses its tab
+  function openDashboard() {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  }
+
+  // Put the sidebar and the reading pane on either side of the list. Runs
+  // before the DOM elements above are looked up.
+  function buildDashboard() {
+    document.body.classList.add("dashboard");
+    document.title = "SenseNote - Library";
+    document.getElementById("dashboard-btn").remove();
+
+    const view = document.getElementById("main-view");
+    const library = document.createElement("div");
+    library.className = "library";
+    library.innerHTML = `
+      <aside class="library-sidebar">
+        <button id="sidebar-all" class="sidebar-item">
+          <span class="sidebar-name">All highlights</span>
+          <span class="sidebar-count"></span>
+        </button>
+
+        <h3 class="sidebar-heading">Tags</h3>
+        <div id="sidebar-tags" class="sidebar-list"></div>
+
+        <h3 class="sidebar-heading">Sites</h3>
+        <div id="sidebar-sites" class="sidebar-list"></div>
+
+        <p class="sidebar-keys">
+          <kbd>j</kbd> <kbd>k</kbd> move · <kbd>o</kbd> open · <kbd>/</kbd> search
+        </p>
+      </aside>
+      <div class="library-list"></div>
+      <section id="reading-pane" class="reading-pane"></section>
+    `;
+    // The view bar, the list and the empty state
+    library.querySelector(".library-list").append(...view.children);
+    view.appendChild(library);
+  }
+
+  function setupDashboard() {
+    sidebarAllBtn.addEventListener("click", () => showLibrarySection({ category: 'all', site: 'all' }));
+
+    // A click on a card, not on its links or buttons, reads its page
+    highlightsContainer.addEventListener("click", (e) => {
+      const card = e.target.closest(".highlight-card");
+      if (!card || e.target.closest("a, button, input, textarea")) return;
+      setActiveHighlight(card.dataset.highlightId);
+    });
+
+    document.addEventListener("keydown", handleDashboardKeydown);
+  }
+
+  // Narrow the list to a tag and/or site from the sidebar
+  function showLibrarySection(filters) {
+    Object.assign(currentFilters, filters);
+    renderHighlights();
+  }
+
+  // Tags and sites with their highlight counts; the picked ones are active
+  function renderSidebar() {
+    const countBy = (values) => {
+      const counts = new Map();
+      values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+      return [...counts];
+    };
+
+    sidebarAllBtn.classList.toggle("active", currentFilters.category === 'all' && currentFilters.site === 'all');
+    sidebarAllBtn.querySelector(".sidebar-count").textContent = allHighlights.length;
+
+    const tags = countBy(allHighlights.flatMap((h) => h.tags))
+      .sort((a, b) => a[0].localeCompare(b[0]));
+    const sites = countBy(allHighlights.map((h) => siteOf(h.url)))
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    renderSidebarList(sidebarTags, tags, 'category');
+    renderSidebarList(sidebarSites, sites, 'site');
+  }
+
+  function renderSidebarList(list, entries, filter) {
+    list.innerHTML = entries.length > 0 ? "" : '<p class="sidebar-empty">None yet</p>';
+    entries.forEach(([name, count]) => {
+      const item = document.createElement("button");
+      item.className = "sidebar-item";
+      item.classList.toggle("active", currentFilters[filter] === name);
+      item.title = name;
+      item.innerHTML = `
+        <span class="sidebar-name">${escapeHtml(name)}</span>
+        <span class="sidebar-count">${count}</span>
+      `;
+      // Picking the active one again shows them all
+      item.addEventListener("click", () => {
+        showLibrarySection({ [filter]: currentFilters[filter] === name ? 'all' : name });
+      });
+      list.appendChild(item);
+    });
+  }
+
+  // Make a highlight the one the keyboard moves from, and read its page
+  function setActiveHighlight(id) {
+    activeHighlightId = id;
+    const highlight = allHighlights.find((h) => h.id === id);
+    readingPage = highlight ? highlight.pageKey || highlight.url : null;
+    highlightsContainer.querySelectorAll(".highlight-card").forEach((card) => {
+      card.classList.toggle("active", card.dataset.highlightId === id);
+    });
+    renderReadingPane();
+    showActiveInPane(true);
+  }
+
+  // All highlights of the page being read, in page order, whatever the
+  // filters. Rebuilt only when they change, so open editors stay open.
+  function renderReadingPane() {
+    const highlights = readingPage
+      ? sortByDocumentOrder(allHighlights.filter((h) => (h.pageKey || h.url) === readingPage))
+      : [];
+    const unchanged = paneKey === cardCacheKey &&
+      highlights.length === paneHighlights.length &&
+      highlights.every((h, index) => h === paneHighlights[index]);
+    if (unchanged) return;
+    paneHighlights = highlights;
+    paneKey = cardCacheKey;
+
+    readingPane.innerHTML = "";
+    if (highlights.length === 0) {
+      readingPane.innerHTML = `
+        <div class="reading-empty">
+          <h2>Nothing to read yet</h2>
+          <p>Pick a highlight to see every highlight of its page, in the order they appear.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const page = highlights[0];
+    const count = highlights.length;
+    const header = document.createElement("div");
+    header.className = "reading-header";
+    header.innerHTML = `
+      <h2 class="reading-title">${escapeHtml(page.pageTitle || page.url)}</h2>
+      <div class="reading-meta">
+        <span>${count} highlight${count !== 1 ? "s" : ""} · ${escapeHtml(siteOf(page.url))}</span>
+        <button class="group-open-btn reading-open-btn">Open page</button>
+      </div>
+    `;
+    header.querySelector(".reading-open-btn").addEventListener("click", () => openPage(page.url));
+    readingPane.appendChild(header);
+
+    highlights.forEach((highlight) => {
+      readingPane.appendChild(createHighlightCard(highlight));
+    });
+    showActiveInPane(false);
+  }
+
+  function showActiveInPane(scroll) {
+    readingPane.querySelectorAll(".highlight-card").forEach((card) => {
+      const active = card.dataset.highlightId === activeHighlightId;
+      card.classList.toggle("active", active);
+      if (active && scroll) card.scrollIntoView({ block: "nearest" });
+    });
+  }
+
+  // j/k or the arrows move through the list, Enter or o opens the
+  // highlight on its page, / searches
+  function handleDashboardKeydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest("input, textarea, select")) return;
+    // Not while a modal or another view is open
+    if (document.querySelector(".filter-modal") || mainView.style.display === "none") return;
+
+    if (e.key === "j" || e.key === "ArrowDown") {
+      moveActiveHighlight(1);
+    } else if (e.key === "k" || e.key === "ArrowUp") {
+      moveActiveHighlight(-1);
+    } else if ((e.key === "Enter" && !e.target.closest("a, button")) || e.key === "o") {
+      const highlight = allHighlights.find((h) => h.id === activeHighlightId);
+      if (highlight) navigateToHighlight(highlight);
+    } else if (e.key === "/") {
+      if (searchInput.style.display === "none") {
+        handleSearch();
+      } else {
+        searchInput.focus();
+      }
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  // Move to the next or previous card in the list; from nothing, to the
+  // first or last
+  function moveActiveHighlight(step) {
+    const cards = listRows
+      .map((row, index) => ({ row, index }))
+      .filter(({ row }) => row.highlight);
+    if (cards.length === 0) return;
+
+    const current = cards.findIndex(({ row }) => row.highlight.id === activeHighlightId);
+    const next = current === -1
+      ? (step > 0 ? 0 : cards.length - 1)
+      : Math.min(Math.max(current + step, 0), cards.length - 1);
+    setActiveHighlight(cards[next].row.highlight.id);
+    scrollToRow(cards[next].index);
+  }
+
   // Initialize popup
   init();
 })();
@@ -0,0 +1,394 @@
+// SenseNote - Search
+// Full-text search and the query language over highlights. Used by the
+// popup.
+//
+// A query is a list of clauses separated by spaces:
+//   word            the word somewhere in the text, note, tags, page title
+//                   or URL
+//   "some words"    those words in a row
+//   tag:ml          tagged ml; quote tags with spaces: tag:"to read"
+//   color:blue      yellow, blue, pink or green
+//   site:arxiv.org  on arxiv.org or a subdomain; site:arxiv.org/abs also
+//                   matches the path
+//   after:2026-01   created on or after the date (year, month or day)
+//   before:2026     created before the date
+//   has:note        has a note, tags or link
+//   -clause         anything but
+// Matching ignores case and diacritics ("cafe" finds "Café"). Words and
+// phrases rank the results by where they were found. The popup only ranks
+// the highlights the store's full-text index found for the words and
+// phrases (see store.js), so words match at the start of a word.
+
+(function(root) {
+  'use strict';
+
+  // What a match in each field is worth
+  const FIELD_WEIGHTS = {
+    text: 4,
+    note: 3,
+    tags: 3,
+    pageTitle: 2,
+    url: 1
+  };
+
+  const COLORS = {
+    yellow: '#ffeb3b',
+    blue: '#90caf9',
+    pink: '#ff9eb5',
+    green: '#a5d6a7'
+  };
+
+  const HAS_CHECKS = {
+    note: h => Boolean(h.note && h.note.trim()),
+    tags: h => h.tags.length > 0,
+    link: h => Boolean(h.linkUrl)
+  };
+
+  // Quotes chat apps and word processors put in place of "
+  const FANCY_QUOTES = /[\u201c\u201d\u201e\u201f\u2033\u00ab\u00bb]/g;
+
+  // Folded fields of each highlight, so typing doesn't fold them again
+  const foldedFields = new WeakMap();
+
+  // Lowercase text without diacritics, and for every character of it the
+  // index of the character it came from in text
+  function fold(text) {
+    let folded = '';
+    const map = [];
+    let index = 0;
+    for (const char of text) {
+      const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+      for (let i = 0; i < plain.length; i++) {
+        map.push(index);
+      }
+      folded += plain;
+      index += char.length;
+    }
+    return { folded: folded, map: map };
+  }
+
+  function foldText(text) {
+    return fold(text || '').folded;
+  }
+
+  // Index after the character at index
+  function charEnd(text, index) {
+    return index + (text.codePointAt(index) > 0xffff ? 2 : 1);
+  }
+
+  function isWordChar(char) {
+    return /[\p{L}\p{N}]/u.test(char);
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function fieldsOf(highlight) {
+    let fields = foldedFields.get(highlight);
+    if (!fields) {
+      fields = {
+        text: foldText(highlight.text),
+        note: foldText(highlight.note),
+        tags: foldText((highlight.tags || []).join(' ')),
+        pageTitle: foldText(highlight.pageTitle),
+        url: foldText(highlight.url)
+      };
+      foldedFields.set(highlight, fields);
+    }
+    return fields;
+  }
+
+  // Host without www. and path of a URL or of a site: value
+  function siteOf(url) {
+    const match = /^(?:[a-z]+:\/\/)?(?:www\.)?([^/?#]*)([^?#]*)/i.exec(url.trim());
+    return { host: match[1].toLowerCase(), path: match[2].replace(/\/+$/, '') };
+  }
+
+  // Start of the year, month or day in a date like 2026, 2026-01 or
+  // 2026-01-31, local time; null if it isn't one
+  function parseDate(value) {
+    const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+    if (!match) return null;
+    const month = match[2] ? Number(match[2]) - 1 : 0;
+    const day = match[3] ? Number(match[3]) : 1;
+    const date = new Date(Number(match[1]), month, day);
+    // Rejects 2026-13 and 2026-02-30
+    if (date.getMonth() !== month || date.getDate() !== day) return null;
+    return date.getTime();
+  }
+
+  // ========== Parsing ==========
+
+  // Clause parsers: value -> predicate, or an error message
+  const FIELD_PARSERS = {
+    tag(value) {
+      const tag = foldText(value);
+      return h => h.tags.some(t => foldText(t) === tag);
+    },
+    color(value) {
+      const name = value.toLowerCase();
+      const color = COLORS[name] || (/^#[0-9a-f]{6}$/.test(name) ? name : null);
+      if (!color) return 'color: can be yellow, blue, pink or green';
+      return h => (h.color || '').toLowerCase() === color;
+    },
+    site(value) {
+      const site = siteOf(value);
+      if (!site.host) return 'site: needs a domain, like site:example.com';
+      return h => {
+        const page = siteOf(h.url || '');
+        return (page.host === site.host || page.host.endsWith('.' + site.host)) &&
+          page.path.startsWith(site.path);
+      };
+    },
+    after(value) {
+      const time = parseDate(value);
+      if (time === null) return 'after: needs a date, like after:2026-01-31';
+      return h => new Date(h.timestamp).getTime() >= time;
+    },
+    before(value) {
+      const time = parseDate(value);
+      if (time === null) return 'before: needs a date, like before:2026-01-31';
+      return h => new Date(h.timestamp).getTime() < time;
+    },
+    has(value) {
+      const check = HAS_CHECKS[value.toLowerCase()];
+      if (!check) return 'has: can be note, tags or link';
+      return check;
+    }
+  };
+
+  const FIELD_NAMES = Object.keys(FIELD_PARSERS);
+
+  // Split a query into clauses: [-][field:](word | "some words"), with
+  // where each starts and ends
+  function tokenize(query) {
+    const text = query.replace(FANCY_QUOTES, '"');
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      if (/\s/.test(text[i])) {
+        i++;
+        continue;
+      }
+
+      const token = { start: i, negate: false, field: null, value: '', quoted: false, closed: true };
+      if (text[i] === '-' && i + 1 < text.length && !/\s/.test(text[i + 1])) {
+        token.negate = true;
+        i++;
+      }
+      // Not for URLs: https://example.com is a word
+      const field = /^([a-z]+):(?!\/\/)/i.exec(text.slice(i));
+      if (field) {
+        token.field = field[1].toLowerCase();
+        i += field[0].length;
+      }
+
+      if (text[i] === '"') {
+        const close = text.indexOf('"', i + 1);
+        token.quoted = true;
+        token.closed = close !== -1;
+        token.value = text.slice(i + 1, token.closed ? close : text.length);
+        i = token.closed ? close + 1 : text.length;
+      } else {
+        const valueStart = i;
+        while (i < text.length && !/\s/.test(text[i])) i++;
+        token.value = text.slice(valueStart, i);
+      }
+      token.end = i;
+      tokens.push(token);
+    }
+    return tokens;
+  }
+
+  // Whether a folded term is in any field of a highlight
+  function containsTerm(highlight, term) {
+    const fields = fieldsOf(highlight);
+    return Object.keys(FIELD_WEIGHTS).some(field => fields[field].includes(term));
+  }
+
+  // Parse a query -> { terms, predicates, errors }: the folded words and
+  // phrases to rank by, a predicate per clause, and what's wrong with the
+  // clauses that were left out ({ message, start, end })
+  function parse(query) {
+    const result = { terms: [], predicates: [], errors: [] };
+
+    tokenize(query || '').forEach(token => {
+      const fail = message => result.errors.push({ message: message, start: token.start, end: token.end });
+      if (!token.closed) {
+        fail('Close the quote');
+      }
+
+      let predicate;
+      if (token.field) {
+        const parser = FIELD_PARSERS[token.field];
+        if (!parser) {
+          fail(`Unknown filter "${token.field}:". Try ${FIELD_NAMES.map(name => name + ':').join(' ')}`);
+          return;
+        }
+        if (!token.value.trim()) {
+          fail(`${token.field}: needs a value`);
+          return;
+        }
+        predicate = parser(token.value.trim());
+        if (typeof predicate === 'string') {
+          fail(predicate);
+          return;
+        }
+      } else {
+        const term = foldText(token.value).trim().replace(/\s+/g, ' ');
+        // A stray - or quote isn't worth searching for
+        if (!term || (!token.quoted && ![...term].some(isWordChar))) return;
+        if (!token.negate) {
+          if (!result.terms.includes(term)) result.terms.push(term);
+          return;
+        }
+        predicate = h => containsTerm(h, term);
+      }
+
+      result.predicates.push(token.negate ? h => !predicate(h) : predicate);
+    });
+
+    return result;
+  }
+
+  // ========== Ranking ==========
+
+  // Where term starts a word in text, or else where it's inside one; -1
+  // if it isn't there
+  function findTerm(text, term) {
+    let first = -1;
+    let at = text.indexOf(term);
+    while (at !== -1) {
+      if (at === 0 || !isWordChar(text[at - 1])) return at;
+      if (first === -1) first = at;
+      at = text.indexOf(term, at + 1);
+    }
+    return first;
+  }
+
+  // How well a highlight matches the terms; 0 when a term is missing
+  function score(highlight, terms) {
+    const fields = fieldsOf(highlight);
+    let total = 0;
+
+    for (const term of terms) {
+      let best = 0;
+      Object.keys(FIELD_WEIGHTS).forEach(field => {
+        const at = findTerm(fields[field], term);
+        if (at === -1) return;
+        // Word starts count twice as much as the middle of a word
+        const wordStart = at === 0 || !isWordChar(fields[field][at - 1]);
+        best = Math.max(best, FIELD_WEIGHTS[field] * (wordStart ? 2 : 1));
+      });
+      if (best === 0) return 0;
+      total += best;
+    }
+
+    // The words in a row, as typed, are the best match
+    if (terms.length > 1 && fields.text.includes(terms.join(' '))) {
+      total += FIELD_WEIGHTS.text * terms.length;
+    }
+    return total;
+  }
+
+  // Highlights containing every term, best first; equal matches keep their
+  // order. No terms keeps them all.
+  function rank(highlights, terms) {
+    if (terms.length === 0) return highlights.slice();
+
+    return highlights
+      .map((highlight, index) => ({ highlight: highlight, index: index, score: score(highlight, terms) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(result => result.highlight);
+  }
+
+  // Escaped HTML of text with the terms wrapped in <mark>
+  function markMatches(text, terms) {
+    const source = text || '';
+    if (terms.length === 0) return escapeHtml(source);
+
+    const { folded, map } = fold(source);
+    const ranges = [];
+    terms.forEach(term => {
+      let at = folded.indexOf(term);
+      while (at !== -1) {
+        ranges.push([map[at], charEnd(source, map[at + term.length - 1])]);
+        at = folded.indexOf(term, at + term.length);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    // Matches that overlap or touch share one mark
+    const merged = [];
+    ranges.forEach(([start, end]) => {
+      const previous = merged[merged.length - 1];
+      if (previous && start <= previous[1]) {
+        previous[1] = Math.max(previous[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+
+    let html = '';
+    let last = 0;
+    merged.forEach(([start, end]) => {
+      html += escapeHtml(source.slice(last, start)) +
+        `<mark class="search-match">${escapeHtml(source.slice(start, end))}</mark>`;
+      last = end;
+    });
+    return html + escapeHtml(source.slice(last));
+  }
+
+  // ========== Autocomplete ==========
+
+  // Completions for the clause at the caret: filter names, then values of
+  // the filters that have known ones. known: { tags, sites } from the
+  // library. -> { start, end, options: [{ label, text }] }, where text
+  // replaces query.slice(start, end)
+  function suggest(query, caret, known) {
+    const before = query.slice(0, caret);
+    const token = before.slice(before.search(/\S*$/)).replace(/^-/, '');
+    const tokenStart = caret - token.length;
+    const tokenEnd = caret + query.slice(caret).search(/\s|$/);
+
+    const colon = token.indexOf(':');
+    if (colon === -1) {
+      const typed = token.toLowerCase();
+      const names = typed ? FIELD_NAMES.filter(name => name.startsWith(typed)) : [];
+      return {
+        start: tokenStart,
+        end: tokenEnd,
+        options: names.map(name => ({ label: name + ':', text: name + ':' }))
+      };
+    }
+
+    const values = {
+      tag: known.tags || [],
+      site: known.sites || [],
+      color: Object.keys(COLORS),
+      has: Object.keys(HAS_CHECKS)
+    }[token.slice(0, colon).toLowerCase()] || [];
+    const typed = foldText(token.slice(colon + 1).replace(/^"/, ''));
+    const options = values
+      .filter(value => foldText(value).startsWith(typed) && foldText(value) !== typed)
+      .map(value => ({
+        label: value,
+        text: (/\s/.test(value) ? `"${value}"` : value) + ' '
+      }));
+    return { start: tokenStart + colon + 1, end: tokenEnd, options: options };
+  }
+
+  root.SenseNoteSearch = {
+    parse,
+    rank,
+    markMatches,
+    suggest
+  };
+
+})(window);
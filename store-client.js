@@ -0,0 +1,66 @@
+// SenseNote - Storage Client
+// Shared by the content script and the popup. All reads and writes go to
+// the storage service in the background service worker (store.js), sync
+// requests to sync.js.
+
+(function(root) {
+  'use strict';
+
+  // Send one request to a background service; resolves with its result.
+  // Errors keep the service's error code, e.g. VAULT_LOCKED.
+  function request(op, params, action = 'storage') {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ action: action, op: op, params: params }, function(response) {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response) {
+          reject(new Error(`No response from ${action} service`));
+        } else if (response.error) {
+          const error = new Error(response.error);
+          error.code = response.code;
+          reject(error);
+        } else {
+          resolve(response.result);
+        }
+      });
+    });
+  }
+
+  root.SenseNoteStore = {
+    query: (filter = {}) => request('query', { filter }),
+    search: (query) => request('search', { query }),
+    create: (highlight) => request('create', { highlight }),
+    update: (id, changes) => request('update', { id, changes }),
+    listRevisions: (id) => request('listRevisions', { id }),
+    revert: (id, revisionId) => request('revert', { id, revisionId }),
+    updateMany: (ids, changes) => request('updateMany', { ids, changes }),
+    remove: (id) => request('delete', { id }),
+    removeMany: (ids) => request('deleteMany', { ids }),
+    clear: () => request('clear'),
+    listTrash: () => request('listTrash'),
+    restore: (ids) => request('restore', { ids }),
+    purge: (ids) => request('purge', { ids }),
+    emptyTrash: () => request('emptyTrash'),
+    listPages: () => request('listPages'),
+    previewImport: (data) => request('previewImport', { data }),
+    importBackup: (data) => request('importBackup', { data }),
+    listTags: () => request('listTags'),
+    addTag: (name) => request('addTag', { name }),
+    renameTag: (oldName, newName) => request('renameTag', { oldName, newName }),
+    deleteTag: (name) => request('deleteTag', { name }),
+    getSettings: () => request('getSettings'),
+    updateSettings: (changes) => request('updateSettings', { changes }),
+    getUrlRules: () => request('getUrlRules'),
+    setUrlRules: (rules) => request('setUrlRules', { rules }),
+    exportEncrypted: (ids) => request('exportEncrypted', { ids }),
+    getVaultStatus: () => request('getVaultStatus'),
+    setupVault: (passphrase, encryptText) => request('setupVault', { passphrase, encryptText }),
+    unlockVault: (passphrase) => request('unlockVault', { passphrase }),
+    lockVault: () => request('lockVault'),
+    disableVault: (passphrase) => request('disableVault', { passphrase }),
+    getSyncStatus: () => request('getStatus', {}, 'sync'),
+    setSyncEnabled: (enabled) => request('setEnabled', { enabled }, 'sync'),
+    syncNow: () => request('syncNow', {}, 'sync')
+  };
+
+})(window);
@@ -0,0 +1,1256 @@
+// SenseNote - Storage Service
+// The background service worker is the only code that touches storage.
+// Content scripts and the popup send it requests through store-client.js.
+// Requests run one at a time, and each one is a single IndexedDB
+// transaction, so saves from several tabs and the popup can no longer
+// overwrite each other and a failed save leaves nothing half-written.
+//
+// Database layout:
+//   highlights  highlight records by id; indexed by pageKey (page identity,
+//               see page-url.js) and by tag
+//   pages       { key, url, title, count, lastModified } per page with
+//               highlights
+//   tags        { name, count, custom } for every tag in use or created by
+//               the user (custom tags stay when no highlight uses them)
+//   terms       { id, terms } full-text terms of each highlight's text, note,
+//               page title, tags and URL; the multi-entry `term` index is
+//               the inverted index used by search
+//   trash       { id, deletedAt, highlight } for deleted highlights; they
+//               can be restored until purged after settings.trashRetentionDays
+//   revisions   { id, highlightId, note, tags, savedAt } for every saved
+//               version of a highlight's note and tags, oldest first
+// chrome.storage.local only keeps schemaVersion and settings (urlRules,
+// settings), plus syncState for sync.js and vault for vault.js.
+//
+// With the vault on, a record's note (and, if chosen, its text, context and
+// selectors) is kept encrypted in record.sealed and left blank, which also
+// keeps it out of the search terms (such records get SEALED_TERM instead).
+// Revisions keep their note the same way. Requests get records decrypted, or marked locked while the vault is
+// locked.
+
+(function(root) {
+  'use strict';
+
+  const DB_NAME = 'sensenote';
+  const DB_VERSION = 5;
+
+  // Tail of the request queue
+  let queue = Promise.resolve();
+
+  // Run tasks one after another; a failed task doesn't block the next one
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // ===== Change listeners =====
+
+  const changeListeners = [];
+
+  // Call listener after every committed write (sync.js uses it to know
+  // when to sync)
+  function onChange(listener) {
+    changeListeners.push(listener);
+  }
+
+  function notifyChange() {
+    changeListeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('SenseNote: Change listener failed:', error);
+      }
+    });
+  }
+
+  // ===== IndexedDB helpers =====
+
+  let dbPromise = null;
+
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = function(event) {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const highlights = db.createObjectStore('highlights', { keyPath: 'id' });
+          highlights.createIndex('url', 'url');
+          highlights.createIndex('tags', 'tags', { multiEntry: true });
+          db.createObjectStore('pages', { keyPath: 'url' });
+          db.createObjectStore('tags', { keyPath: 'name' });
+          const terms = db.createObjectStore('terms', { keyPath: 'id' });
+          terms.createIndex('term', 'terms', { multiEntry: true });
+        }
+        if (event.oldVersion < 2) {
+          // Pages are identified by pageKey; schema migration v4 fills it in
+          const highlights = request.transaction.objectStore('highlights');
+          highlights.deleteIndex('url');
+          highlights.createIndex('pageKey', 'pageKey');
+          db.deleteObjectStore('pages');
+          db.createObjectStore('pages', { keyPath: 'key' });
+        }
+        if (event.oldVersion < 3) {
+          const trash = db.createObjectStore('trash', { keyPath: 'id' });
+          trash.createIndex('deletedAt', 'deletedAt');
+        }
+        if (event.oldVersion < 4) {
+          const revisions = db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true });
+          revisions.createIndex('highlightId', 'highlightId');
+        }
+        if (event.oldVersion >= 1 && event.oldVersion < 5) {
+          // Search covers tags and URLs too; index the saved highlights again
+          const transaction = request.transaction;
+          const terms = transaction.objectStore('terms');
+          transaction.objectStore('highlights').openCursor().onsuccess = function(e) {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            terms.put({ id: cursor.value.id, terms: termsOf(cursor.value) });
+            cursor.continue();
+          };
+        }
+      };
+
+      request.onsuccess = function() {
+        const db = request.result;
+        // Don't hold up a newer version of the extension upgrading the database
+        db.onversionchange = function() {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next request try again if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+    return dbPromise;
+  }
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Run `work` with the named object stores in one transaction. Resolves
+  // with its result once the transaction has committed.
+  async function transaction(storeNames, mode, work) {
+    const db = await openDatabase();
+    const tx = db.transaction(storeNames, mode);
+    const stores = {};
+    storeNames.forEach(name => {
+      stores[name] = tx.objectStore(name);
+    });
+
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+    });
+
+    let result;
+    try {
+      result = await work(stores);
+    } catch (error) {
+      // Report the error that caused the abort, not the abort itself
+      done.catch(() => {});
+      try {
+        tx.abort();
+      } catch (e) {
+        // Already finished
+      }
+      throw error;
+    }
+    await done;
+    if (mode === 'readwrite') notifyChange();
+    return result;
+  }
+
+  const ALL_STORES = ['highlights', 'pages', 'tags', 'terms', 'trash', 'revisions'];
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // ===== URL rules =====
+
+  let urlRules = null;
+
+  async function getUrlRules() {
+    if (!urlRules) {
+      const result = await chrome.storage.local.get(['urlRules']);
+      urlRules = SenseNoteUrl.normalizeRules(result.urlRules);
+    }
+    return urlRules;
+  }
+
+  // ===== Settings =====
+
+  const DEFAULT_SETTINGS = {
+    trashRetentionDays: 30,
+    vaultLockMinutes: 15,
+    // How the popup lists highlights: 'none', 'page' or 'domain', and
+    // whether highlights within a page follow the page
+    groupBy: 'none',
+    documentOrder: false
+  };
+
+  async function getSettings() {
+    const result = await chrome.storage.local.get(['settings']);
+    return Object.assign({}, DEFAULT_SETTINGS, result.settings);
+  }
+
+  // ===== Vault =====
+
+  // The vault's parameters (null when it's off) and key (null when
+  // locked). With `touch`, this counts as using the vault.
+  async function currentVault(touch) {
+    const config = await SenseNoteVault.getConfig();
+    if (!config) return { config: null, key: null };
+    const settings = await getSettings();
+    return { config: config, key: await SenseNoteVault.getKey(settings.vaultLockMinutes, touch) };
+  }
+
+  async function vaultStatus() {
+    const config = await SenseNoteVault.getConfig();
+    const settings = await getSettings();
+    return {
+      enabled: Boolean(config),
+      unlocked: Boolean(config) && await SenseNoteVault.isUnlocked(settings.vaultLockMinutes),
+      encryptText: Boolean(config && config.encryptText),
+      lockMinutes: settings.vaultLockMinutes
+    };
+  }
+
+  function lockedError() {
+    const error = new Error('The vault is locked');
+    error.code = 'VAULT_LOCKED';
+    return error;
+  }
+
+  // Fields the vault encrypts, and what they're left as. The text's context
+  // and selectors quote the page, so they go along with the text.
+  function secretFields(config) {
+    const fields = { note: '' };
+    if (config.encryptText) {
+      Object.assign(fields, { text: '', textBefore: '', textAfter: '', selectors: [] });
+    }
+    return fields;
+  }
+
+  // Move a record's secret fields into record.sealed
+  async function sealRecord(record, vault) {
+    if (!vault.config) return record;
+    const blanks = secretFields(vault.config);
+    const secrets = {};
+    Object.keys(blanks).forEach(field => {
+      if (record[field] && record[field].length > 0) secrets[field] = record[field];
+    });
+    if (Object.keys(secrets).length === 0) return record;
+    if (!vault.key) throw lockedError();
+
+    return Object.assign({}, record, blanks, { sealed: await SenseNoteVault.seal(vault.key, secrets) });
+  }
+
+  // The record with its secret fields back, or marked locked
+  async function openRecord(record, vault) {
+    if (!record.sealed) return record;
+    if (vault.key) {
+      try {
+        const opened = Object.assign({}, record, await SenseNoteVault.open(vault.key, record.sealed));
+        delete opened.sealed;
+        return opened;
+      } catch (e) {
+        // Encrypted with another passphrase, in another browser
+      }
+    }
+    const locked = Object.assign({}, record, { locked: true });
+    delete locked.sealed;
+    return locked;
+  }
+
+  function openRecords(records, vault) {
+    return Promise.all(records.map(record => openRecord(record, vault)));
+  }
+
+  async function sealRevision(revision, vault) {
+    if (!vault.config || !revision.note) return revision;
+    if (!vault.key) throw lockedError();
+    return Object.assign({}, revision, {
+      note: '',
+      sealed: await SenseNoteVault.seal(vault.key, { note: revision.note })
+    });
+  }
+
+  // Revisions kept from a sealed record carry the record's sealed fields;
+  // only the note is theirs
+  async function openRevision(revision, vault) {
+    const opened = await openRecord(revision, vault);
+    if (opened.locked) return opened;
+    return {
+      id: revision.id,
+      highlightId: revision.highlightId,
+      note: opened.note || '',
+      tags: revision.tags,
+      savedAt: revision.savedAt
+    };
+  }
+
+  // ===== Records =====
+
+  // Lowercase words with diacritics removed, each listed once
+  function tokenize(text) {
+    const words = (text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .match(/[\p{L}\p{N}]+/gu);
+    return [...new Set(words || [])];
+  }
+
+  // Term of the records with encrypted fields, which can't be indexed. It
+  // has a space, so no word is ever tokenized into it.
+  const SEALED_TERM = ' sealed';
+
+  function termsOf(highlight) {
+    const terms = tokenize([
+      highlight.text, highlight.note, highlight.pageTitle, (highlight.tags || []).join(' '), highlight.url
+    ].join(' '));
+    if (highlight.sealed) terms.push(SEALED_TERM);
+    return terms;
+  }
+
+  // Adjust tag usage counts; tags nobody uses or created are dropped
+  async function countTags(stores, tags, delta) {
+    for (const name of tags) {
+      const tag = await promisify(stores.tags.get(name)) || { name: name, count: 0, custom: false };
+      tag.count = Math.max(0, tag.count + delta);
+      if (tag.count === 0 && !tag.custom) {
+        await promisify(stores.tags.delete(name));
+      } else {
+        await promisify(stores.tags.put(tag));
+      }
+    }
+  }
+
+  // Recompute a page's summary from its highlights
+  async function refreshPage(stores, key) {
+    const highlights = await promisify(stores.highlights.index('pageKey').getAll(key));
+    if (highlights.length === 0) {
+      await promisify(stores.pages.delete(key));
+      return;
+    }
+    const latest = highlights.reduce((a, b) => (a.lastModified || '') > (b.lastModified || '') ? a : b);
+    await promisify(stores.pages.put({
+      key: key,
+      url: latest.url,
+      title: latest.pageTitle || '',
+      count: highlights.length,
+      lastModified: latest.lastModified || ''
+    }));
+  }
+
+  // Write a record along with its tag counts, search terms and page
+  async function putHighlight(stores, highlight, previous) {
+    await promisify(stores.highlights.put(highlight));
+    if (previous) {
+      await countTags(stores, previous.tags, -1);
+    }
+    await countTags(stores, highlight.tags, 1);
+    await promisify(stores.terms.put({ id: highlight.id, terms: termsOf(highlight) }));
+    await refreshPage(stores, highlight.pageKey);
+    if (previous && previous.pageKey && previous.pageKey !== highlight.pageKey) {
+      await refreshPage(stores, previous.pageKey);
+    }
+  }
+
+  async function deleteHighlight(stores, highlight) {
+    await promisify(stores.highlights.delete(highlight.id));
+    await promisify(stores.terms.delete(highlight.id));
+    await countTags(stores, highlight.tags, -1);
+    await refreshPage(stores, highlight.pageKey);
+  }
+
+  async function moveToTrash(stores, highlight, deletedAt) {
+    await deleteHighlight(stores, highlight);
+    await promisify(stores.trash.put({ id: highlight.id, deletedAt: deletedAt, highlight: highlight }));
+  }
+
+  // Permanently delete a trashed highlight and its history
+  async function purgeFromTrash(stores, id) {
+    await promisify(stores.trash.delete(id));
+    const revisionIds = await promisify(stores.revisions.index('highlightId').getAllKeys(id));
+    for (const revisionId of revisionIds) {
+      await promisify(stores.revisions.delete(revisionId));
+    }
+  }
+
+  // Permanently delete trashed highlights older than the retention period
+  function purgeExpiredTrash() {
+    return enqueue(async () => {
+      const settings = await getSettings();
+      const cutoff = new Date(Date.now() - settings.trashRetentionDays * DAY_MS).toISOString();
+      return transaction(['trash', 'revisions'], 'readwrite', async stores => {
+        const ids = await promisify(stores.trash.index('deletedAt').getAllKeys(IDBKeyRange.upperBound(cutoff)));
+        for (const id of ids) {
+          await purgeFromTrash(stores, id);
+        }
+        return ids.length;
+      });
+    });
+  }
+
+  // Note and tags as saved in a revision
+  function revisionOf(highlight, savedAt) {
+    const revision = {
+      highlightId: highlight.id,
+      note: highlight.note || '',
+      tags: highlight.tags.slice(),
+      savedAt: savedAt
+    };
+    if (highlight.sealed) {
+      revision.sealed = highlight.sealed;
+    }
+    return revision;
+  }
+
+  function sameRevision(a, b) {
+    const sealedA = a.sealed ? a.sealed.data : '';
+    const sealedB = b.sealed ? b.sealed.data : '';
+    return (a.note || '') === (b.note || '') && a.tags.join('\n') === b.tags.join('\n') && sealedA === sealedB;
+  }
+
+  // Keep a changed note or tags as a revision; the first one also keeps
+  // the version it replaces
+  async function recordRevision(stores, previous, record) {
+    if (sameRevision(previous, record)) return;
+    if (await promisify(stores.revisions.index('highlightId').count(record.id)) === 0) {
+      const savedAt = previous.lastModified || previous.timestamp || record.lastModified;
+      await promisify(stores.revisions.add(revisionOf(previous, savedAt)));
+    }
+    await promisify(stores.revisions.add(revisionOf(record, record.lastModified)));
+  }
+
+  // Work out an edit to a stored highlight: the new record, and revisions
+  // to keep if the note or tags changed. IndexedDB commits a transaction
+  // that waits on anything else, so encrypting happens here, between a read
+  // and a write transaction; requests run one at a time, so nothing changes
+  // in between.
+  async function planUpdate(id, changes, vault) {
+    const { previous, revisionCount } = await transaction(['highlights', 'revisions'], 'readonly', async stores => ({
+      previous: await promisify(stores.highlights.get(id)),
+      revisionCount: await promisify(stores.revisions.index('highlightId').count(id))
+    }));
+    if (!previous) {
+      throw new Error(`Highlight not found: ${id}`);
+    }
+    const before = await openRecord(previous, vault);
+    if (before.locked) throw lockedError();
+
+    const after = Object.assign({}, before, changes, {
+      id: id,
+      url: previous.url,
+      pageKey: previous.pageKey,
+      lastModified: new Date().toISOString()
+    });
+    after.tags = [...new Set(after.tags)];
+
+    // The first revision also keeps the version it replaces
+    const revisions = [];
+    if (!sameRevision(before, after)) {
+      if (revisionCount === 0) {
+        revisions.push(revisionOf(before, before.lastModified || before.timestamp || after.lastModified));
+      }
+      revisions.push(revisionOf(after, after.lastModified));
+    }
+
+    return {
+      previous: previous,
+      opened: after,
+      record: await sealRecord(after, vault),
+      revisions: await Promise.all(revisions.map(revision => sealRevision(revision, vault)))
+    };
+  }
+
+  // Write a planned edit. -> the highlight as the requester sees it
+  async function saveUpdate(stores, plan) {
+    await putHighlight(stores, plan.record, plan.previous);
+    for (const revision of plan.revisions) {
+      await promisify(stores.revisions.add(revision));
+    }
+    return plan.opened;
+  }
+
+  // Fill in what every stored record must have
+  function prepareHighlight(highlight, rules) {
+    const url = SenseNoteUrl.canonicalUrl(highlight.url, { rules: rules });
+    return Object.assign({}, highlight, {
+      url: url,
+      pageKey: SenseNoteUrl.pageKey(url, rules),
+      tags: cleanTags(highlight.tags),
+      lastModified: highlight.lastModified || highlight.timestamp || new Date().toISOString()
+    });
+  }
+
+  // ===== Import =====
+
+  // Trimmed, non-empty, unique tag names
+  function cleanTags(tags) {
+    const names = (Array.isArray(tags) ? tags : [])
+      .filter(tag => typeof tag === 'string')
+      .map(tag => tag.trim())
+      .filter(tag => tag);
+    return [...new Set(names)];
+  }
+
+  // Highlights and custom tags from a SenseNote JSON export: the export
+  // object ({ highlights, customTags, vault? }) or a bare array of
+  // highlights. Encrypted exports only import into the vault that made them.
+  function readBackup(data, vault) {
+    const list = Array.isArray(data) ? data : (data && Array.isArray(data.highlights) ? data.highlights : null);
+    if (!list) {
+      throw new Error('This file is not a SenseNote export: it has no highlights');
+    }
+    const encrypted = Boolean(data.vault);
+    if (encrypted && !(vault.config && data.vault.salt === vault.config.salt)) {
+      throw new Error('This export is encrypted with another vault. Import a decrypted export instead.');
+    }
+
+    const highlights = [];
+    let invalid = 0;
+    list.forEach(item => {
+      const sealed = encrypted && item && item.sealed;
+      if (!item || typeof item.url !== 'string' || typeof item.text !== 'string' || !(item.text || sealed)) {
+        invalid++;
+        return;
+      }
+      // Exports from before schema v1 have a single category instead of tags
+      const highlight = Object.assign({}, item, {
+        tags: cleanTags(Array.isArray(item.tags) ? item.tags : [item.category])
+      });
+      delete highlight.category;
+      delete highlight.pageKey;
+      delete highlight.deletedAt;
+      delete highlight.locked;
+      if (!sealed) {
+        delete highlight.sealed;
+      }
+      if (typeof highlight.id !== 'string' || !highlight.id) {
+        highlight.id = 'hl-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+      }
+      highlights.push(highlight);
+    });
+
+    return {
+      highlights: highlights,
+      customTags: cleanTags(data && data.customTags),
+      invalid: invalid
+    };
+  }
+
+  // Same page, same text, same text before it: the same highlight even if
+  // it was created on another machine with another id. Encrypted text can't
+  // be compared.
+  function contentKey(highlight) {
+    if (!highlight.text) return null;
+    return JSON.stringify([highlight.pageKey, highlight.text, highlight.textBefore || '']);
+  }
+
+  // Work out what importing a backup would change. Records match by id or
+  // by contentKey; a match is only replaced by a newer lastModified.
+  async function planImport(stores, backup, rules) {
+    const existing = await promisify(stores.highlights.getAll());
+    const byId = new Map(existing.map(h => [h.id, h]));
+    const byContent = new Map(existing.map(h => [contentKey(h), h]).filter(([key]) => key));
+
+    const plan = { added: [], updated: [], unchanged: 0, newTags: [] };
+    const seen = new Set();
+
+    // Compare the dates the file carries: prepareHighlight stamps undated
+    // records with the current time, which would always look newer
+    const stampOf = h => h.lastModified || h.timestamp || '';
+
+    // Newest first, so the newest copy wins when the file repeats a highlight
+    const incoming = backup.highlights
+      .map(h => ({ record: prepareHighlight(h, rules), stamp: stampOf(h) }))
+      .sort((a, b) => b.stamp.localeCompare(a.stamp));
+
+    incoming.forEach(({ record, stamp }) => {
+      const key = contentKey(record);
+      if (seen.has(record.id) || (key && seen.has(key))) {
+        plan.unchanged++;
+        return;
+      }
+      seen.add(record.id);
+      if (key) seen.add(key);
+
+      const match = byId.get(record.id) || (key && byContent.get(key));
+      if (!match) {
+        plan.added.push(record);
+      } else if (stamp > stampOf(match)) {
+        plan.updated.push({ record: Object.assign(record, { id: match.id }), previous: match });
+      } else {
+        plan.unchanged++;
+      }
+    });
+
+    const names = new Set(backup.customTags);
+    [...plan.added, ...plan.updated.map(u => u.record)].forEach(h => h.tags.forEach(tag => names.add(tag)));
+    for (const name of names) {
+      if (!(await promisify(stores.tags.getKey(name)))) {
+        plan.newTags.push(name);
+      }
+    }
+    return plan;
+  }
+
+  // What the popup shows before and after an import
+  function summarizeImport(plan, backup) {
+    const sample = h => ({ text: h.text, pageTitle: h.pageTitle || '', url: h.url });
+    return {
+      added: plan.added.length,
+      updated: plan.updated.length,
+      unchanged: plan.unchanged,
+      invalid: backup.invalid,
+      newTags: plan.newTags.sort((a, b) => a.localeCompare(b)),
+      samples: {
+        added: plan.added.slice(0, 20).map(sample),
+        updated: plan.updated.slice(0, 20).map(u => sample(u.record))
+      }
+    };
+  }
+
+  // Add or replace highlights and custom tags in one transaction (used by
+  // migrations)
+  async function importLibrary(highlights, customTags) {
+    const rules = await getUrlRules();
+    return transaction(ALL_STORES, 'readwrite', async stores => {
+      for (const name of customTags) {
+        const tag = await promisify(stores.tags.get(name)) || { name: name, count: 0 };
+        tag.custom = true;
+        await promisify(stores.tags.put(tag));
+      }
+      for (const h of highlights) {
+        const highlight = prepareHighlight(h, rules);
+        const previous = await promisify(stores.highlights.get(highlight.id));
+        await putHighlight(stores, highlight, previous);
+      }
+      return highlights.length;
+    });
+  }
+
+  // Recompute every record's pageKey and the pages store, after the rules
+  // or the way page identity is computed changed
+  async function rekeyLibrary() {
+    const rules = await getUrlRules();
+    return transaction(['highlights', 'pages'], 'readwrite', async stores => {
+      const highlights = await promisify(stores.highlights.getAll());
+      for (const highlight of highlights) {
+        highlight.pageKey = SenseNoteUrl.pageKey(highlight.url, rules);
+        await promisify(stores.highlights.put(highlight));
+      }
+      await promisify(stores.pages.clear());
+      const keys = new Set(highlights.map(h => h.pageKey));
+      for (const key of keys) {
+        await refreshPage(stores, key);
+      }
+      return keys.size;
+    });
+  }
+
+  // Save every highlight, trashed highlight and revision again the way the
+  // vault `to` keeps them, after the vault was turned on or off.
+  // Highlights that change get a new lastModified, so sync carries the
+  // change. Whatever `from` can't decrypt stays as it is. -> how many
+  // highlights changed
+  async function resealLibrary(from, to) {
+    const library = await transaction(['highlights', 'trash', 'revisions'], 'readonly', async stores => ({
+      highlights: await promisify(stores.highlights.getAll()),
+      trash: await promisify(stores.trash.getAll()),
+      revisions: await promisify(stores.revisions.getAll())
+    }));
+
+    async function reseal(record) {
+      const opened = await openRecord(record, from);
+      return opened.locked ? record : sealRecord(opened, to);
+    }
+
+    const lastModified = new Date().toISOString();
+    const highlights = [];
+    for (const previous of library.highlights) {
+      const record = await reseal(previous);
+      if (record !== previous) {
+        highlights.push({ previous: previous, record: Object.assign({}, record, { lastModified: lastModified }) });
+      }
+    }
+    const trash = [];
+    for (const entry of library.trash) {
+      const highlight = await reseal(entry.highlight);
+      if (highlight !== entry.highlight) {
+        trash.push(Object.assign({}, entry, { highlight: highlight }));
+      }
+    }
+    const revisions = [];
+    for (const stored of library.revisions) {
+      const opened = await openRevision(stored, from);
+      if (!opened.locked) {
+        revisions.push(await sealRevision(opened, to));
+      }
+    }
+
+    return transaction(ALL_STORES, 'readwrite', async stores => {
+      for (const { previous, record } of highlights) {
+        await putHighlight(stores, record, previous);
+      }
+      for (const entry of trash) {
+        await promisify(stores.trash.put(entry));
+      }
+      for (const revision of revisions) {
+        await promisify(stores.revisions.put(revision));
+      }
+      return highlights.length;
+    });
+  }
+
+  const operations = {
+    // { filter: { id?, url? } } -> matching highlights. Any URL of the
+    // page matches (see page-url.js).
+    async query({ filter = {} }) {
+      const key = filter.url ? SenseNoteUrl.pageKey(filter.url, await getUrlRules()) : null;
+      // Pages reading their highlights as they load don't count as using
+      // the vault
+      const vault = await currentVault(!filter.url);
+      const highlights = await transaction(['highlights'], 'readonly', async stores => {
+        if (filter.id) {
+          const highlight = await promisify(stores.highlights.get(filter.id));
+          const matches = !key || (highlight && highlight.pageKey === key);
+          return highlight && matches ? [highlight] : [];
+        }
+        if (key) {
+          return promisify(stores.highlights.index('pageKey').getAll(key));
+        }
+        return promisify(stores.highlights.getAll());
+      });
+      return openRecords(highlights, vault);
+    },
+
+    // { query } -> ids of the highlights with a word starting with each
+    // word of the query in their text, note, page title, tags or URL, plus
+    // the ones with encrypted fields, which may have them there too; null
+    // when the query has no words. The popup ranks these (see search.js).
+    async search({ query }) {
+      const words = tokenize(query);
+      if (words.length === 0) return null;
+
+      return transaction(['terms'], 'readonly', async stores => {
+        const index = stores.terms.index('term');
+        let ids = null;
+        for (const word of words) {
+          const range = IDBKeyRange.bound(word, word + '\uffff');
+          const found = new Set(await promisify(index.getAllKeys(range)));
+          ids = ids ? new Set([...ids].filter(id => found.has(id))) : found;
+          if (ids.size === 0) break;
+        }
+        const sealed = await promisify(index.getAllKeys(SEALED_TERM));
+        return [...new Set([...ids, ...sealed])];
+      });
+    },
+
+    // { highlight } -> the saved highlight
+    async create({ highlight }) {
+      if (!highlight || !highlight.id) {
+        throw new Error('A highlight with an id is required');
+      }
+      const rules = await getUrlRules();
+      const record = prepareHighlight(highlight, rules);
+      const sealed = await sealRecord(record, await currentVault(true));
+      return transaction(ALL_STORES, 'readwrite', async stores => {
+        if (await promisify(stores.highlights.getKey(highlight.id))) {
+          throw new Error(`Highlight already exists: ${highlight.id}`);
+        }
+        await putHighlight(stores, sealed, null);
+        return record;
+      });
+    },
+
+    // { id, changes } -> the updated highlight. The id and url can't change.
+    async update({ id, changes }) {
+      const plan = await planUpdate(id, changes, await currentVault(true));
+      return transaction(ALL_STORES, 'readwrite', stores => saveUpdate(stores, plan));
+    },
+
+    // { id } -> [{ id, note, tags, savedAt }] oldest first
+    async listRevisions({ id }) {
+      const vault = await currentVault(true);
+      const revisions = await transaction(['revisions'], 'readonly', async stores => {
+        const stored = await promisify(stores.revisions.index('highlightId').getAll(id));
+        return stored.sort((a, b) => a.savedAt.localeCompare(b.savedAt) || a.id - b.id);
+      });
+      return Promise.all(revisions.map(revision => openRevision(revision, vault)));
+    },
+
+    // { id, revisionId } -> the highlight with that revision's note and
+    // tags. Reverting is itself saved as a new revision.
+    async revert({ id, revisionId }) {
+      const vault = await currentVault(true);
+      const stored = await transaction(['revisions'], 'readonly', stores => promisify(stores.revisions.get(revisionId)));
+      if (!stored || stored.highlightId !== id) {
+        throw new Error(`Revision not found: ${revisionId}`);
+      }
+      const revision = await openRevision(stored, vault);
+      if (revision.locked) throw lockedError();
+      const plan = await planUpdate(id, { note: revision.note, tags: revision.tags }, vault);
+      return transaction(ALL_STORES, 'readwrite', stores => saveUpdate(stores, plan));
+    },
+
+    // { ids, changes: { addTags, removeTags, color } } -> the highlights
+    // that changed. Tags and colors aren't encrypted, so this works with
+    // the vault locked.
+    async updateMany({ ids, changes }) {
+      const addTags = cleanTags(changes.addTags);
+      const removeTags = cleanTags(changes.removeTags);
+      const vault = await currentVault(true);
+      const updated = await transaction(ALL_STORES, 'readwrite', async stores => {
+        const lastModified = new Date().toISOString();
+        const saved = [];
+        for (const id of ids) {
+          const previous = await promisify(stores.highlights.get(id));
+          if (!previous) continue;
+
+          const tags = [...new Set(previous.tags.filter(tag => !removeTags.includes(tag)).concat(addTags))];
+          const color = changes.color || previous.color;
+          if (tags.join('\n') === previous.tags.join('\n') && color === previous.color) continue;
+
+          const record = Object.assign({}, previous, { tags: tags, color: color, lastModified: lastModified });
+          await putHighlight(stores, record, previous);
+          await recordRevision(stores, previous, record);
+          saved.push(record);
+        }
+        return saved;
+      });
+      return openRecords(updated, vault);
+    },
+
+    // { ids } -> how many highlights were moved to the trash
+    deleteMany({ ids }) {
+      return transaction(ALL_STORES, 'readwrite', async stores => {
+        const deletedAt = new Date().toISOString();
+        let count = 0;
+        for (const id of ids) {
+          const highlight = await promisify(stores.highlights.get(id));
+          if (!highlight) continue;
+          await moveToTrash(stores, highlight, deletedAt);
+          count++;
+        }
+        return count;
+      });
+    },
+
+    // { id } -> true if the highlight was moved to the trash
+    delete({ id }) {
+      return transaction(ALL_STORES, 'readwrite', async stores => {
+        const highlight = await promisify(stores.highlights.get(id));
+        if (!highlight) return false;
+        await moveToTrash(stores, highlight, new Date().toISOString());
+        return true;
+      });
+    },
+
+    // Move every highlight to the trash; custom tags stay. -> their ids,
+    // to restore them on Undo
+    clear() {
+      return transaction(ALL_STORES, 'readwrite', async stores => {
+        const highlights = await promisify(stores.highlights.getAll());
+        const deletedAt = new Date().toISOString();
+        for (const highlight of highlights) {
+          await moveToTrash(stores, highlight, deletedAt);
+        }
+        return highlights.map(highlight => highlight.id);
+      });
+    },
+
+    // -> trashed highlights with their deletedAt, most recently deleted first
+    async listTrash() {
+      const vault = await currentVault(true);
+      const entries = await transaction(['trash'], 'readonly', stores => promisify(stores.trash.getAll()));
+      return openRecords(entries
+        .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+        .map(entry => Object.assign({}, entry.highlight, { deletedAt: entry.deletedAt })), vault);
+    },
+
+    // { ids } -> the restored highlights
+    async restore({ ids }) {
+      const rules = await getUrlRules();
+      const vault = await currentVault(true);
+      const restored = await transaction(ALL_STORES, 'readwrite', async stores => {
+        const restored = [];
+        for (const id of ids || []) {
+          const entry = await promisify(stores.trash.get(id));
+          if (!entry) continue;
+          // URL rules may have changed while it was in the trash. Restoring
+          // counts as a change, so sync doesn't take it for deleted.
+          const record = prepareHighlight(Object.assign({}, entry.highlight, {
+            lastModified: new Date().toISOString()
+          }), rules);
+          const previous = await promisify(stores.highlights.get(id));
+          await putHighlight(stores, record, previous);
+          await promisify(stores.trash.delete(id));
+          restored.push(record);
+        }
+        return restored;
+      });
+      return openRecords(restored, vault);
+    },
+
+    // { ids } -> true; permanently deletes trashed highlights
+    purge({ ids }) {
+      return transaction(['trash', 'revisions'], 'readwrite', async stores => {
+        for (const id of ids || []) {
+          await purgeFromTrash(stores, id);
+        }
+        return true;
+      });
+    },
+
+    // Permanently delete everything in the trash
+    emptyTrash() {
+      return transaction(['trash', 'revisions'], 'readwrite', async stores => {
+        const ids = await promisify(stores.trash.getAllKeys());
+        for (const id of ids) {
+          await purgeFromTrash(stores, id);
+        }
+        return true;
+      });
+    },
+
+    // { data } -> summary of what importing the backup would change
+    async previewImport({ data }) {
+      const backup = readBackup(data, await currentVault(true));
+      const rules = await getUrlRules();
+      return transaction(['highlights', 'tags'], 'readonly', async stores => {
+        return summarizeImport(await planImport(stores, backup, rules), backup);
+      });
+    },
+
+    // { data } -> summary of what was imported. Replaced notes and tags
+    // are kept as revisions.
+    async importBackup({ data }) {
+      const vault = await currentVault(true);
+      const backup = readBackup(data, vault);
+      const rules = await getUrlRules();
+      const plan = await transaction(['highlights', 'tags'], 'readonly', stores => planImport(stores, backup, rules));
+
+      // Encrypt before the write transaction (see planUpdate)
+      const added = [];
+      for (const record of plan.added) {
+        added.push(await sealRecord(record, vault));
+      }
+      const updated = [];
+      for (const { record, previous } of plan.updated) {
+        updated.push({ record: await sealRecord(record, vault), previous: previous });
+      }
+
+      return transaction(ALL_STORES, 'readwrite', async stores => {
+        for (const record of added) {
+          await putHighlight(stores, record, null);
+          // The backup brings back a highlight that was deleted here
+          await promisify(stores.trash.delete(record.id));
+        }
+        for (const { record, previous } of updated) {
+          await putHighlight(stores, record, previous);
+          await recordRevision(stores, previous, record);
+        }
+        for (const name of backup.customTags) {
+          const tag = await promisify(stores.tags.get(name)) || { name: name, count: 0 };
+          tag.custom = true;
+          await promisify(stores.tags.put(tag));
+        }
+
+        return summarizeImport(plan, backup);
+      });
+    },
+
+    // { ids } -> { highlights, vault } for an encrypted export: the
+    // highlights as stored, and the vault parameters importing them needs
+    async exportEncrypted({ ids }) {
+      const config = await SenseNoteVault.getConfig();
+      if (!config) {
+        throw new Error('The vault is off');
+      }
+      const highlights = await transaction(['highlights'], 'readonly', async stores => {
+        const found = [];
+        for (const id of ids || []) {
+          found.push(await promisify(stores.highlights.get(id)));
+        }
+        return found.filter(Boolean);
+      });
+      return { highlights: highlights, vault: config };
+    },
+
+    // -> { enabled, unlocked, encryptText, lockMinutes }
+    getVaultStatus() {
+      return vaultStatus();
+    },
+
+    // { passphrase, encryptText } -> vault status. Encrypts the library
+    // and leaves the vault unlocked.
+    async setupVault({ passphrase, encryptText }) {
+      if (await SenseNoteVault.getConfig()) {
+        throw new Error('The vault is already on');
+      }
+      if (!passphrase) {
+        throw new Error('A passphrase is required');
+      }
+      const key = await SenseNoteVault.create(passphrase, encryptText);
+      try {
+        await resealLibrary({ config: null, key: null }, { config: await SenseNoteVault.getConfig(), key: key });
+      } catch (error) {
+        await SenseNoteVault.remove();
+        throw error;
+      }
+      return vaultStatus();
+    },
+
+    // { passphrase } -> vault status; rejects on a wrong passphrase
+    async unlockVault({ passphrase }) {
+      await SenseNoteVault.unlock(passphrase);
+      return vaultStatus();
+    },
+
+    // -> vault status
+    async lockVault() {
+      await SenseNoteVault.lock();
+      return vaultStatus();
+    },
+
+    // { passphrase } -> vault status. Decrypts the library.
+    async disableVault({ passphrase }) {
+      const config = await SenseNoteVault.getConfig();
+      if (!config) return vaultStatus();
+      const key = await SenseNoteVault.unlock(passphrase);
+      await resealLibrary({ config: config, key: key }, { config: null, key: null });
+      await SenseNoteVault.remove();
+      return vaultStatus();
+    },
+
+    // -> [{ key, url, title, count, lastModified }] for every page with
+    // highlights
+    listPages() {
+      return transaction(['pages'], 'readonly', stores => promisify(stores.pages.getAll()));
+    },
+
+    // -> [{ name, count }] for every tag in use or created by the user
+    listTags() {
+      return transaction(['tags'], 'readonly', async stores => {
+        const tags = await promisify(stores.tags.getAll());
+        return tags
+          .map(tag => ({ name: tag.name, count: tag.count, custom: Boolean(tag.custom) }))
+          .sort((a, b) => a.name.localeCompare(b.name));
+      });
+    },
+
+    // { name } -> true if the tag was added
+    addTag({ name }) {
+      if (!name) return Promise.resolve(false);
+      return transaction(['tags'], 'readwrite', async stores => {
+        const tag = await promisify(stores.tags.get(name));
+        if (tag && tag.custom) return false;
+        await promisify(stores.tags.put({ name: name, count: tag ? tag.count : 0, custom: true }));
+        return true;
+      });
+    },
+
+    // { oldName, newName } -> true if anything changed
+    renameTag({ oldName, newName }) {
+      return transaction(ALL_STORES, 'readwrite', async stores => {
+        const tag = await promisify(stores.tags.get(oldName));
+        if (!tag || !newName || newName === oldName) return false;
+
+        const highlights = await promisify(stores.highlights.index('tags').getAll(oldName));
+        const lastModified = new Date().toISOString();
+        for (const previous of highlights) {
+          const record = Object.assign({}, previous, {
+            tags: [...new Set(previous.tags.map(t => t === oldName ? newName : t))],
+            lastModified: lastModified
+          });
+          await putHighlight(stores, record, previous);
+          await recordRevision(stores, previous, record);
+        }
+
+        // Keep the user's tag after the rename even if nothing uses it
+        if (tag.custom) {
+          const renamed = await promisify(stores.tags.get(newName)) || { name: newName, count: 0 };
+          renamed.custom = true;
+          await promisify(stores.tags.put(renamed));
+        }
+        await promisify(stores.tags.delete(oldName));
+        return true;
+      });
+    },
+
+    // -> the user's URL rules (see page-url.js)
+    getUrlRules() {
+      return getUrlRules();
+    },
+
+    // -> settings merged over their defaults
+    getSettings() {
+      return getSettings();
+    },
+
+    // { changes } -> the saved settings
+    async updateSettings({ changes }) {
+      const settings = Object.assign(await getSettings(), changes);
+      await chrome.storage.local.set({ settings: settings });
+      return settings;
+    },
+
+    // { rules } -> the saved rules; pages are re-identified with them
+    async setUrlRules({ rules }) {
+      const normalized = SenseNoteUrl.normalizeRules(rules);
+      await chrome.storage.local.set({ urlRules: normalized });
+      urlRules = normalized;
+      await rekeyLibrary();
+      return normalized;
+    },
+
+    // { name } -> true; removes the tag from every highlight
+    deleteTag({ name }) {
+      return transaction(ALL_STORES, 'readwrite', async stores => {
+        const highlights = await promisify(stores.highlights.index('tags').getAll(name));
+        const lastModified = new Date().toISOString();
+        for (const previous of highlights) {
+          const record = Object.assign({}, previous, {
+            tags: previous.tags.filter(t => t !== name),
+            lastModified: lastModified
+          });
+          await putHighlight(stores, record, previous);
+          await recordRevision(stores, previous, record);
+        }
+        await promisify(stores.tags.delete(name));
+        return true;
+      });
+    }
+  };
+
+  // ===== Sync =====
+
+  // What sync.js compares with the sync area: every highlight, and when
+  // each trashed one was deleted
+  function syncSnapshot() {
+    return enqueue(() => transaction(['highlights', 'trash'], 'readonly', async stores => {
+      const highlights = await promisify(stores.highlights.getAll());
+      const trash = await promisify(stores.trash.getAll());
+      return {
+        highlights: highlights,
+        trash: trash.map(entry => ({ id: entry.id, deletedAt: entry.deletedAt }))
+      };
+    }));
+  }
+
+  // Apply what sync brought in: newer versions of highlights (records) and
+  // deletions ({ id, deletedAt }). Anything changed here since the snapshot
+  // was taken is newer and left alone. -> { pulled, removed } ids
+  function applySync({ records, deletions }) {
+    return enqueue(async () => {
+      const rules = await getUrlRules();
+
+      // Keep what another browser synced unencrypted in this vault, when
+      // it's unlocked (see planUpdate for why this happens first)
+      const vault = await currentVault(false);
+      const incomingRecords = [];
+      for (const record of records) {
+        incomingRecords.push(vault.key ? await sealRecord(record, vault) : record);
+      }
+
+      return transaction(ALL_STORES, 'readwrite', async stores => {
+        const result = { pulled: [], removed: [] };
+
+        for (const incoming of incomingRecords) {
+          const previous = await promisify(stores.highlights.get(incoming.id));
+          const trashed = await promisify(stores.trash.get(incoming.id));
+          if (previous && previous.lastModified >= incoming.lastModified) continue;
+          if (trashed && trashed.deletedAt >= incoming.lastModified) continue;
+
+          const record = prepareHighlight(incoming, rules);
+          await putHighlight(stores, record, previous);
+          if (previous) {
+            await recordRevision(stores, previous, record);
+          }
+          if (trashed) {
+            await promisify(stores.trash.delete(record.id));
+          }
+          result.pulled.push(record.id);
+        }
+
+        // Deleted elsewhere: into the trash here too, so it can be restored
+        for (const { id, deletedAt } of deletions) {
+          const highlight = await promisify(stores.highlights.get(id));
+          if (!highlight || highlight.lastModified > deletedAt) continue;
+          await moveToTrash(stores, highlight, deletedAt);
+          result.removed.push(id);
+        }
+
+        return result;
+      });
+    });
+  }
+
+  // Bring stored data up to the current schema version. Queued like any
+  // other request, so nothing reads the old format once it has started.
+  function migrate() {
+    return enqueue(async () => {
+      const { SCHEMA_VERSION, MIGRATIONS } = SenseNoteMigrations;
+      const stored = await chrome.storage.local.get(null);
+      const fromVersion = stored.schemaVersion || 0;
+
+      if (fromVersion > SCHEMA_VERSION) {
+        console.warn(`SenseNote: Stored schema v${fromVersion} is newer than this version (v${SCHEMA_VERSION}); leaving it untouched`);
+        return fromVersion;
+      }
+      if (fromVersion === SCHEMA_VERSION) return fromVersion;
+
+      let data = Object.assign({}, stored);
+      delete data.schemaVersion;
+      for (const migration of MIGRATIONS) {
+        if (migration.version <= fromVersion) continue;
+        data = await migration.migrate(data);
+        console.log(`SenseNote: Migrated storage to v${migration.version}: ${migration.description}`);
+      }
+
+      // Write before removing, so an interrupted upgrade never loses records
+      await chrome.storage.local.set(Object.assign({}, data, { schemaVersion: SCHEMA_VERSION }));
+      const removed = Object.keys(stored).filter(key => key !== 'schemaVersion' && !(key in data));
+      if (removed.length > 0) {
+        await chrome.storage.local.remove(removed);
+      }
+      return SCHEMA_VERSION;
+    });
+  }
+
+  // Entry point for { action: 'storage', op, params } messages
+  function handleRequest(op, params) {
+    const operation = operations[op];
+    if (!operation) {
+      return Promise.reject(new Error(`Unknown storage operation: ${op}`));
+    }
+    return enqueue(() => operation(params || {}));
+  }
+
+  root.SenseNoteStorage = {
+    handleRequest,
+    migrate,
+    importLibrary,
+    rekeyLibrary,
+    purgeExpiredTrash,
+    onChange,
+    syncSnapshot,
+    applySync
+  };
+
+})(self);
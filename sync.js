@@ -0,0 +1,474 @@
+// SenseNote - Sync
+// Optional sync of the library between the user's browsers through
+// chrome.storage.sync. Runs in the background service worker next to
+// store.js, which it reads and writes through syncSnapshot/applySync.
+//
+// Sync area layout (every key in the area is ours):
+//   format        layout version of the keys below
+//   h:<id>        { m: lastModified, n: parts, d: first part } of a
+//                 highlight; d followed by the other parts is its JSON
+//   p:<i>:<id>    part i (1 to n - 1) of a highlight too big for one item
+//   t:<id>        deletedAt of a deleted highlight (tombstone)
+//
+// Per highlight, the version with the newest lastModified wins, and a
+// tombstone wins over versions older than the deletion. Tombstones are
+// dropped after TOMBSTONE_DAYS. chrome.storage.local keeps syncState:
+// whether sync is on, how the last sync went and the lastModified of each
+// highlight as of the last sync, which tells a highlight purged on one side
+// apart from one the other side hasn't seen yet.
+
+(function(root) {
+  'use strict';
+
+  const FORMAT = 1;
+  const SYNC_DELAY_MS = 5000;
+  const TOMBSTONE_DAYS = 90;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // chrome.storage.sync limits, for storage areas that don't declare them
+  const DEFAULT_QUOTA_BYTES = 102400;
+  const DEFAULT_QUOTA_BYTES_PER_ITEM = 8192;
+  const DEFAULT_MAX_ITEMS = 512;
+
+  // Share of the total quota sync fills before it stops adding highlights
+  const QUOTA_USE = 0.95;
+
+  const encoder = new TextEncoder();
+
+  function byteLength(text) {
+    return encoder.encode(text).length;
+  }
+
+  // How chrome.storage.sync measures an item against its quotas
+  function itemSize(key, value) {
+    return byteLength(key) + byteLength(JSON.stringify(value));
+  }
+
+  function quotasOf(area) {
+    return {
+      bytes: area.QUOTA_BYTES || DEFAULT_QUOTA_BYTES,
+      bytesPerItem: area.QUOTA_BYTES_PER_ITEM || DEFAULT_QUOTA_BYTES_PER_ITEM,
+      maxItems: area.MAX_ITEMS || DEFAULT_MAX_ITEMS
+    };
+  }
+
+  // ===== Sync area =====
+
+  const headerKey = id => 'h:' + id;
+  const partKey = (index, id) => 'p:' + index + ':' + id;
+  const tombstoneKey = id => 't:' + id;
+
+  // Split text into pieces whose JSON string form fits the byte budgets;
+  // the first piece has its own budget
+  function splitText(text, firstBudget, budget) {
+    const pieces = [];
+    let piece = '';
+    let size = 0;
+    let limit = firstBudget;
+    for (const char of text) {
+      const cost = byteLength(JSON.stringify(char)) - 2;
+      if (size + cost > limit && piece) {
+        pieces.push(piece);
+        piece = '';
+        size = 0;
+        limit = budget;
+      }
+      piece += char;
+      size += cost;
+    }
+    pieces.push(piece);
+    return pieces;
+  }
+
+  // The items holding one highlight. pageKey stays behind: each browser
+  // derives it with its own URL rules.
+  function encodeRecord(record, bytesPerItem) {
+    const data = Object.assign({}, record);
+    delete data.pageKey;
+    const json = JSON.stringify(data);
+
+    const id = record.id;
+    const headerRoom = bytesPerItem - itemSize(headerKey(id), { m: record.lastModified, n: 9999, d: '' });
+    const partRoom = bytesPerItem - itemSize(partKey(9999, id), '');
+    const pieces = splitText(json, headerRoom, partRoom);
+
+    const items = {};
+    items[headerKey(id)] = { m: record.lastModified, n: pieces.length, d: pieces[0] };
+    for (let i = 1; i < pieces.length; i++) {
+      items[partKey(i, id)] = pieces[i];
+    }
+    return items;
+  }
+
+  // Highlights and tombstones in the area. A highlight whose parts don't
+  // add up (another browser is halfway through writing it) is unreadable
+  // and left out of this sync.
+  async function readRemote(area) {
+    const items = await area.get(null);
+    if (items.format > FORMAT) {
+      throw new Error('Another browser synced with a newer version of SenseNote. Update SenseNote here to keep syncing.');
+    }
+
+    const records = new Map();
+    const tombstones = new Map();
+    const unreadable = new Set();
+
+    Object.keys(items).forEach(key => {
+      if (key.startsWith('t:')) {
+        tombstones.set(key.slice(2), items[key]);
+        return;
+      }
+      if (!key.startsWith('h:')) return;
+
+      const id = key.slice(2);
+      const header = items[key];
+      const pieces = [header.d];
+      for (let i = 1; i < header.n; i++) {
+        pieces.push(items[partKey(i, id)]);
+      }
+      try {
+        if (pieces.some(piece => typeof piece !== 'string')) throw new Error('Missing part');
+        const record = JSON.parse(pieces.join(''));
+        if (record.id !== id || record.lastModified !== header.m || typeof record.url !== 'string') {
+          throw new Error('Parts from different versions');
+        }
+        records.set(id, record);
+      } catch (e) {
+        unreadable.add(id);
+      }
+    });
+
+    return { items, records, tombstones, unreadable };
+  }
+
+  // Write the plan's pushes and tombstones, in as few write operations as
+  // possible: quotas also limit writes per minute and hour. Tombstones go
+  // first since they free space; then highlights, newest first, while they
+  // fit. -> { pushed: ids, tombstoned: ids, skipped, bytesInUse }
+  async function writeRemote(area, remote, plan, now) {
+    const quotas = quotasOf(area);
+    const draft = Object.assign({}, remote.items);
+    let usage = Object.keys(draft).reduce((sum, key) => sum + itemSize(key, draft[key]), 0);
+    let count = Object.keys(draft).length;
+
+    // Every item about a highlight: header, parts and tombstone
+    function keysOf(id) {
+      return Object.keys(draft).filter(key =>
+        key === headerKey(id) || key === tombstoneKey(id) ||
+        (key.startsWith('p:') && key.slice(key.indexOf(':', 2) + 1) === id));
+    }
+
+    // Replace the items at `removed` with `added` if the result fits
+    function stage(removed, added, force) {
+      let nextUsage = usage;
+      let nextCount = count;
+      removed.forEach(key => {
+        nextUsage -= itemSize(key, draft[key]);
+        nextCount--;
+      });
+      Object.keys(added).forEach(key => {
+        nextUsage += itemSize(key, added[key]);
+        nextCount++;
+      });
+      if (!force && (nextUsage > quotas.bytes * QUOTA_USE || nextCount > quotas.maxItems)) {
+        return false;
+      }
+      removed.forEach(key => delete draft[key]);
+      Object.assign(draft, added);
+      usage = nextUsage;
+      count = nextCount;
+      return true;
+    }
+
+    if (draft.format !== FORMAT) {
+      stage(draft.format === undefined ? [] : ['format'], { format: FORMAT }, true);
+    }
+
+    const tombstoned = [];
+    plan.tombstones.forEach(({ id, deletedAt }) => {
+      stage(keysOf(id), { [tombstoneKey(id)]: deletedAt }, true);
+      tombstoned.push(id);
+    });
+
+    // Deletions older than this have reached every browser that syncs
+    // regularly
+    const cutoff = new Date(now - TOMBSTONE_DAYS * DAY_MS).toISOString();
+    Object.keys(draft)
+      .filter(key => key.startsWith('t:') && draft[key] < cutoff)
+      .forEach(key => stage([key], {}, true));
+
+    const pushed = [];
+    let skipped = 0;
+    plan.push
+      .slice()
+      .sort((a, b) => (b.lastModified || '').localeCompare(a.lastModified || ''))
+      .forEach(record => {
+        if (stage(keysOf(record.id), encodeRecord(record, quotas.bytesPerItem), false)) {
+          pushed.push(record.id);
+        } else {
+          skipped++;
+        }
+      });
+
+    const changed = {};
+    Object.keys(draft).forEach(key => {
+      if (JSON.stringify(draft[key]) !== JSON.stringify(remote.items[key])) {
+        changed[key] = draft[key];
+      }
+    });
+    const removedKeys = Object.keys(remote.items).filter(key => !(key in draft));
+
+    // Free the space first: near the quota, what's written only fits once
+    // the items it replaces are gone
+    if (removedKeys.length > 0) {
+      await area.remove(removedKeys);
+    }
+    if (Object.keys(changed).length > 0) {
+      await area.set(changed);
+    }
+
+    return { pushed, tombstoned, skipped, bytesInUse: usage };
+  }
+
+  // ===== Merge =====
+
+  // Decide what each side needs from the other. `synced` maps ids to their
+  // lastModified as of the last sync.
+  // -> { pull, remove, push, tombstones, settled, gone }
+  //   pull        remote highlights to save here
+  //   remove      { id, deletedAt } of highlights deleted elsewhere
+  //   push        highlights to write to the area
+  //   tombstones  { id, deletedAt } of highlights deleted here
+  //   settled     ids already the same on both sides
+  //   gone        ids deleted on both sides
+  function planSync(local, remote, synced, now) {
+    const highlights = new Map(local.highlights.map(h => [h.id, h]));
+    const trash = new Map(local.trash.map(entry => [entry.id, entry.deletedAt]));
+    const nowIso = new Date(now).toISOString();
+
+    const plan = { pull: [], remove: [], push: [], tombstones: [], settled: [], gone: [] };
+    const ids = new Set([
+      ...highlights.keys(), ...trash.keys(), ...remote.records.keys(), ...remote.tombstones.keys(), ...Object.keys(synced)
+    ]);
+
+    ids.forEach(id => {
+      if (remote.unreadable.has(id)) return;
+
+      const mine = highlights.get(id);
+      const theirs = remote.records.get(id);
+      const deletedHere = trash.get(id);
+      const deletedThere = remote.tombstones.get(id);
+      const lastSynced = synced[id];
+
+      if (mine && theirs) {
+        if (mine.lastModified > theirs.lastModified) plan.push.push(mine);
+        else if (theirs.lastModified > mine.lastModified) plan.pull.push(theirs);
+        else plan.settled.push(id);
+      } else if (mine) {
+        if (deletedThere !== undefined) {
+          if (mine.lastModified > deletedThere) plan.push.push(mine);
+          else plan.remove.push({ id: id, deletedAt: deletedThere });
+        } else if (lastSynced !== undefined && mine.lastModified <= lastSynced) {
+          // Was in sync, and its tombstone has since expired
+          plan.remove.push({ id: id, deletedAt: nowIso });
+        } else {
+          plan.push.push(mine);
+        }
+      } else if (theirs) {
+        if (deletedHere !== undefined) {
+          if (theirs.lastModified > deletedHere) plan.pull.push(theirs);
+          else plan.tombstones.push({ id: id, deletedAt: deletedHere });
+        } else if (lastSynced !== undefined && theirs.lastModified <= lastSynced) {
+          // Was in sync, and has since been purged from the trash here
+          plan.tombstones.push({ id: id, deletedAt: nowIso });
+        } else {
+          plan.pull.push(theirs);
+        }
+      } else if (deletedHere !== undefined && deletedThere === undefined && lastSynced !== undefined) {
+        plan.tombstones.push({ id: id, deletedAt: deletedHere });
+      } else {
+        plan.gone.push(id);
+      }
+    });
+
+    return plan;
+  }
+
+  // ===== Sync engine =====
+
+  const DEFAULT_STATE = {
+    enabled: false,
+    lastSync: null,
+    lastError: null,
+    highlights: 0,
+    received: 0,
+    skipped: 0,
+    bytesInUse: 0,
+    synced: {}
+  };
+
+  // syncState in chrome.storage.local
+  const localState = {
+    async load() {
+      const result = await chrome.storage.local.get(['syncState']);
+      return result.syncState;
+    },
+    save(state) {
+      return chrome.storage.local.set({ syncState: state });
+    }
+  };
+
+  // Tell an open popup; nobody listening is fine
+  function broadcast(status) {
+    chrome.runtime.sendMessage({ action: 'syncStatus', status: status }, function() {
+      // Reading lastError keeps Chrome from reporting it
+      void chrome.runtime.lastError;
+    });
+  }
+
+  // A sync engine for a chrome.storage.sync-like area (get, set, remove;
+  // QUOTA_BYTES, QUOTA_BYTES_PER_ITEM and MAX_ITEMS if it has them).
+  // Options replace what the extension uses, e.g. in tests:
+  //   state     { load, save } of the engine's state; chrome.storage.local
+  //   library   { syncSnapshot, applySync }; SenseNoteStorage (store.js)
+  //   notify    called with the status as it changes; tells open popups
+  function createSync(area, options) {
+    const { state: stateStore = localState, library = root.SenseNoteStorage, notify = broadcast } = options || {};
+    let timer = null;
+    let running = null;
+    let again = false;
+
+    async function loadState() {
+      return Object.assign({}, DEFAULT_STATE, await stateStore.load());
+    }
+
+    // Status as the popup shows it
+    function statusOf(state, syncing) {
+      return {
+        enabled: state.enabled,
+        syncing: Boolean(syncing),
+        lastSync: state.lastSync,
+        lastError: state.lastError,
+        highlights: state.highlights,
+        received: state.received,
+        skipped: state.skipped,
+        bytesInUse: state.bytesInUse,
+        quotaBytes: quotasOf(area).bytes
+      };
+    }
+
+    async function syncOnce(state) {
+      const now = Date.now();
+      const [local, remote] = await Promise.all([library.syncSnapshot(), readRemote(area)]);
+      const plan = planSync(local, remote, state.synced, now);
+
+      const applied = plan.pull.length > 0 || plan.remove.length > 0
+        ? await library.applySync({ records: plan.pull, deletions: plan.remove })
+        : { pulled: [], removed: [] };
+      const written = await writeRemote(area, remote, plan, now);
+
+      const synced = Object.assign({}, state.synced);
+      const stamps = new Map([...plan.pull, ...plan.push].map(h => [h.id, h.lastModified]));
+      plan.settled.forEach(id => {
+        synced[id] = remote.records.get(id).lastModified;
+      });
+      [...applied.pulled, ...written.pushed].forEach(id => {
+        synced[id] = stamps.get(id);
+      });
+      [...applied.removed, ...written.tombstoned, ...plan.gone].forEach(id => {
+        delete synced[id];
+      });
+
+      return Object.assign(state, {
+        lastSync: new Date(now).toISOString(),
+        lastError: null,
+        highlights: Object.keys(synced).length,
+        received: applied.pulled.length + applied.removed.length,
+        skipped: written.skipped,
+        bytesInUse: written.bytesInUse,
+        synced: synced
+      });
+    }
+
+    // Sync now; a sync requested while one runs follows it. -> status
+    async function run() {
+      if (running) {
+        again = true;
+        return running;
+      }
+      running = (async () => {
+        let state = await loadState();
+        while (state.enabled) {
+          again = false;
+          notify(statusOf(state, true));
+          try {
+            state = await syncOnce(state);
+          } catch (error) {
+            console.error('SenseNote: Sync failed:', error);
+            state.lastError = error.message;
+          }
+          await stateStore.save(state);
+          if (!again || state.lastError) break;
+        }
+        const status = statusOf(state, false);
+        notify(status);
+        return status;
+      })();
+      try {
+        return await running;
+      } finally {
+        running = null;
+      }
+    }
+
+    // Sync soon; changes made close together go out in one sync
+    function schedule() {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timer = null;
+        run().catch(error => console.error('SenseNote: Sync failed:', error));
+      }, SYNC_DELAY_MS);
+    }
+
+    const operations = {
+      // -> sync status
+      async getStatus() {
+        return statusOf(await loadState(), Boolean(running));
+      },
+
+      // { enabled } -> sync status. Turning sync off leaves the synced copy
+      // for the user's other browsers.
+      async setEnabled({ enabled }) {
+        const state = await loadState();
+        state.enabled = Boolean(enabled);
+        await stateStore.save(state);
+        return state.enabled ? run() : statusOf(state, false);
+      },
+
+      // -> sync status after syncing
+      syncNow() {
+        return run();
+      }
+    };
+
+    // Entry point for { action: 'sync', op, params } messages
+    function handleRequest(op, params) {
+      const operation = operations[op];
+      if (!operation) {
+        return Promise.reject(new Error(`Unknown sync operation: ${op}`));
+      }
+      return operation(params || {});
+    }
+
+    return { run, schedule, handleRequest };
+  }
+
+  root.SenseNoteSync = {
+    createSync,
+    planSync,
+    readRemote,
+    writeRemote,
+    encodeRecord
+  };
+
+})(self);
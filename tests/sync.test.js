@@ -0,0 +1,301 @@
+// Tests for sync.js against an in-memory sync area that enforces
+// chrome.storage.sync's quotas. Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// sync.js attaches itself to `self`, as in the service worker
+function loadSync() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'sync.js'), 'utf8');
+  const self = {};
+  vm.runInThisContext(`(function(self) {\n${source}\n})`, { filename: 'sync.js' })(self);
+  return self.SenseNoteSync;
+}
+
+const { createSync, planSync, readRemote, writeRemote, encodeRecord } = loadSync();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const clone = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+const sizeOf = (key, value) => Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value));
+
+// A chrome.storage.sync-like area that rejects writes over its quotas, the
+// way Chrome does
+function fakeArea(quotas) {
+  const items = {};
+  const area = Object.assign({
+    QUOTA_BYTES: 4000,
+    QUOTA_BYTES_PER_ITEM: 300,
+    MAX_ITEMS: 40,
+    items: items,
+    writes: 0,
+    async get() {
+      return clone(items);
+    },
+    async set(changes) {
+      area.writes++;
+      const next = Object.assign(clone(items), clone(changes));
+      Object.keys(changes).forEach(key => {
+        if (sizeOf(key, changes[key]) > area.QUOTA_BYTES_PER_ITEM) {
+          throw new Error(`QUOTA_BYTES_PER_ITEM quota exceeded: ${key}`);
+        }
+      });
+      const total = Object.keys(next).reduce((sum, key) => sum + sizeOf(key, next[key]), 0);
+      if (total > area.QUOTA_BYTES) throw new Error('QUOTA_BYTES quota exceeded');
+      if (Object.keys(next).length > area.MAX_ITEMS) throw new Error('MAX_ITEMS quota exceeded');
+      Object.assign(items, clone(changes));
+    },
+    async remove(keys) {
+      area.writes++;
+      keys.forEach(key => delete items[key]);
+    }
+  }, quotas);
+  return area;
+}
+
+// The part of store.js that sync uses, in memory
+function fakeLibrary() {
+  const highlights = new Map();
+  const trash = new Map();
+  return {
+    highlights,
+    trash,
+    async syncSnapshot() {
+      return {
+        highlights: [...highlights.values()].map(clone),
+        trash: [...trash].map(([id, deletedAt]) => ({ id, deletedAt }))
+      };
+    },
+    async applySync({ records, deletions }) {
+      const result = { pulled: [], removed: [] };
+      records.forEach(record => {
+        const previous = highlights.get(record.id);
+        if (previous && previous.lastModified >= record.lastModified) return;
+        if (trash.has(record.id) && trash.get(record.id) >= record.lastModified) return;
+        highlights.set(record.id, clone(record));
+        trash.delete(record.id);
+        result.pulled.push(record.id);
+      });
+      deletions.forEach(({ id, deletedAt }) => {
+        const highlight = highlights.get(id);
+        if (!highlight || highlight.lastModified > deletedAt) return;
+        highlights.delete(id);
+        trash.set(id, deletedAt);
+        result.removed.push(id);
+      });
+      return result;
+    }
+  };
+}
+
+function fakeState() {
+  let saved;
+  return {
+    async load() {
+      return clone(saved);
+    },
+    async save(state) {
+      saved = clone(state);
+    }
+  };
+}
+
+// A browser: its library and a sync engine on the shared area
+function device(area) {
+  const library = fakeLibrary();
+  const sync = createSync(area, { state: fakeState(), library: library, notify: () => {} });
+  return { library, sync };
+}
+
+const iso = time => new Date(time).toISOString();
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+
+function highlight(id, lastModified, extra) {
+  return Object.assign({ id: id, url: 'https://example.com/', text: 'Text ' + id, lastModified: lastModified }, extra);
+}
+
+function remoteOf(records, tombstones, unreadable) {
+  return {
+    items: {},
+    records: new Map((records || []).map(h => [h.id, h])),
+    tombstones: new Map(Object.entries(tombstones || {})),
+    unreadable: new Set(unreadable || [])
+  };
+}
+
+test('planSync: the newest version of a highlight wins', () => {
+  const local = {
+    highlights: [highlight('a', '2026-05-02'), highlight('b', '2026-05-01'), highlight('c', '2026-05-01')],
+    trash: []
+  };
+  const remote = remoteOf([highlight('a', '2026-05-01'), highlight('b', '2026-05-02'), highlight('c', '2026-05-01')]);
+  const plan = planSync(local, remote, {}, NOW);
+
+  assert.deepStrictEqual(plan.push.map(h => h.id), ['a']);
+  assert.deepStrictEqual(plan.pull.map(h => h.id), ['b']);
+  assert.deepStrictEqual(plan.settled, ['c']);
+});
+
+test('planSync: an edit after a deletion elsewhere beats the tombstone', () => {
+  const local = { highlights: [highlight('edited', '2026-05-03'), highlight('stale', '2026-05-01')], trash: [] };
+  const remote = remoteOf([], { edited: '2026-05-02', stale: '2026-05-02' });
+  const plan = planSync(local, remote, {}, NOW);
+
+  assert.deepStrictEqual(plan.push.map(h => h.id), ['edited']);
+  assert.deepStrictEqual(plan.remove, [{ id: 'stale', deletedAt: '2026-05-02' }]);
+});
+
+test('planSync: a deletion here beats older versions from elsewhere', () => {
+  const local = { highlights: [], trash: [{ id: 'old', deletedAt: '2026-05-02' }, { id: 'new', deletedAt: '2026-05-02' }] };
+  const remote = remoteOf([highlight('old', '2026-05-01'), highlight('new', '2026-05-03')]);
+  const plan = planSync(local, remote, {}, NOW);
+
+  assert.deepStrictEqual(plan.tombstones, [{ id: 'old', deletedAt: '2026-05-02' }]);
+  assert.deepStrictEqual(plan.pull.map(h => h.id), ['new']);
+});
+
+test('planSync: the last sync tells purged and expired apart from unseen', () => {
+  const synced = { purgedHere: '2026-05-01', expiredThere: '2026-05-01' };
+  const local = { highlights: [highlight('expiredThere', '2026-05-01'), highlight('newHere', '2026-05-01')], trash: [] };
+  const remote = remoteOf([highlight('purgedHere', '2026-05-01'), highlight('newThere', '2026-05-01')]);
+  const plan = planSync(local, remote, synced, NOW);
+
+  assert.deepStrictEqual(plan.tombstones, [{ id: 'purgedHere', deletedAt: iso(NOW) }]);
+  assert.deepStrictEqual(plan.remove, [{ id: 'expiredThere', deletedAt: iso(NOW) }]);
+  assert.deepStrictEqual(plan.push.map(h => h.id), ['newHere']);
+  assert.deepStrictEqual(plan.pull.map(h => h.id), ['newThere']);
+});
+
+test('planSync: unreadable highlights wait for the next sync', () => {
+  const local = { highlights: [highlight('a', '2026-05-01')], trash: [] };
+  const plan = planSync(local, remoteOf([], {}, ['a']), {}, NOW);
+
+  assert.deepStrictEqual(plan, { pull: [], remove: [], push: [], tombstones: [], settled: [], gone: [] });
+});
+
+test('writeRemote drops tombstones older than 90 days', async () => {
+  const area = fakeArea();
+  await area.set({ format: 1, 't:old': iso(NOW - 91 * DAY_MS), 't:recent': iso(NOW - 89 * DAY_MS) });
+  const remote = await readRemote(area);
+  await writeRemote(area, remote, { push: [], tombstones: [] }, NOW);
+
+  assert.deepStrictEqual(Object.keys(area.items).sort(), ['format', 't:recent']);
+});
+
+test('writeRemote replaces a highlight with its tombstone', async () => {
+  const area = fakeArea();
+  const long = highlight('a', '2026-05-01', { text: 'x'.repeat(600) });
+  await writeRemote(area, await readRemote(area), { push: [long], tombstones: [] }, NOW);
+  assert.ok(Object.keys(area.items).some(key => key.startsWith('p:')));
+
+  const plan = { push: [], tombstones: [{ id: 'a', deletedAt: '2026-05-02' }] };
+  const written = await writeRemote(area, await readRemote(area), plan, NOW);
+
+  assert.deepStrictEqual(written.tombstoned, ['a']);
+  assert.deepStrictEqual(Object.keys(area.items).sort(), ['format', 't:a']);
+});
+
+test('writeRemote makes room first, so a full area still takes a tombstone', async () => {
+  const area = fakeArea();
+  const chunked = highlight('a', '2026-05-01', { text: 'x'.repeat(600) });
+  const others = ['b', 'c', 'd'].map(id => highlight(id, '2026-05-01', { text: 'y'.repeat(150) }));
+  await writeRemote(area, await readRemote(area), { push: [chunked, ...others], tombstones: [] }, NOW);
+  // Leave less room than the tombstone takes
+  area.QUOTA_BYTES = Object.keys(area.items).reduce((sum, key) => sum + sizeOf(key, area.items[key]), 0) + 10;
+
+  const plan = { push: [], tombstones: [{ id: 'a', deletedAt: '2026-05-02' }] };
+  await writeRemote(area, await readRemote(area), plan, NOW);
+
+  assert.strictEqual(area.items['t:a'], '2026-05-02');
+  assert.deepStrictEqual(Object.keys(area.items).filter(key => key.endsWith(':a')), ['t:a']);
+});
+
+test('encodeRecord splits big highlights into items under the per-item quota', async () => {
+  const area = fakeArea();
+  const record = highlight('big', '2026-05-01', { text: 'ü"\\'.repeat(200), pageKey: 'example.com/' });
+  const items = encodeRecord(record, area.QUOTA_BYTES_PER_ITEM);
+
+  assert.ok(Object.keys(items).length > 1);
+  Object.keys(items).forEach(key => {
+    assert.ok(sizeOf(key, items[key]) <= area.QUOTA_BYTES_PER_ITEM, `${key} is too big`);
+  });
+
+  await area.set(items);
+  const remote = await readRemote(area);
+  const expected = Object.assign({}, record);
+  delete expected.pageKey;
+  assert.deepStrictEqual(remote.records.get('big'), expected);
+});
+
+test('readRemote leaves out highlights with missing parts', async () => {
+  const area = fakeArea();
+  const items = encodeRecord(highlight('big', '2026-05-01', { text: 'x'.repeat(600) }), area.QUOTA_BYTES_PER_ITEM);
+  delete items['p:1:big'];
+  await area.set(items);
+  const remote = await readRemote(area);
+
+  assert.strictEqual(remote.records.has('big'), false);
+  assert.ok(remote.unreadable.has('big'));
+});
+
+test('sync engines converge and skip what the quota has no room for', async () => {
+  const area = fakeArea();
+  const a = device(area);
+  const b = device(area);
+  for (let i = 0; i < 30; i++) {
+    const id = 'h' + String(i).padStart(2, '0');
+    a.library.highlights.set(id, highlight(id, iso(NOW - i * 1000), { text: 'y'.repeat(150) }));
+  }
+
+  assert.strictEqual((await a.sync.handleRequest('syncNow')).enabled, false);
+  await a.sync.handleRequest('setEnabled', { enabled: true });
+  const status = await b.sync.handleRequest('setEnabled', { enabled: true });
+
+  assert.strictEqual(status.lastError, null);
+  assert.ok(status.highlights > 0 && status.highlights < 30);
+  assert.ok(status.bytesInUse <= area.QUOTA_BYTES);
+  // The newest go first
+  assert.ok(b.library.highlights.has('h00'));
+  assert.ok(!b.library.highlights.has('h29'));
+
+  const before = await a.sync.handleRequest('syncNow');
+  assert.strictEqual(before.skipped, 30 - status.highlights);
+});
+
+test('sync engines pass deletions through tombstones', async () => {
+  const area = fakeArea();
+  const a = device(area);
+  const b = device(area);
+  // Engines sync at the current time; older tombstones would expire
+  const created = iso(Date.now() - DAY_MS);
+  const deleted = iso(Date.now());
+  a.library.highlights.set('a', highlight('a', created));
+  await a.sync.handleRequest('setEnabled', { enabled: true });
+  await b.sync.handleRequest('setEnabled', { enabled: true });
+  assert.ok(b.library.highlights.has('a'));
+
+  b.library.highlights.delete('a');
+  b.library.trash.set('a', deleted);
+  await b.sync.handleRequest('syncNow');
+  assert.strictEqual(area.items['t:a'], deleted);
+
+  const status = await a.sync.handleRequest('syncNow');
+  assert.strictEqual(status.received, 1);
+  assert.strictEqual(a.library.trash.get('a'), deleted);
+});
+
+test('a newer sync format stops syncing with an error', async () => {
+  const area = fakeArea();
+  await area.set({ format: 2 });
+  const { sync } = device(area);
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    const status = await sync.handleRequest('setEnabled', { enabled: true });
+    assert.match(status.lastError, /newer version/);
+  } finally {
+    console.error = errors;
+  }
+});
@@ -0,0 +1,159 @@
+// SenseNote - Vault
+// Optional passphrase encryption of notes and, if the user chooses, of the
+// highlighted text. The key is derived from the passphrase with PBKDF2 and
+// used with AES-GCM. store.js decides what to encrypt; this file owns the
+// key and the crypto.
+//
+// chrome.storage.local keeps the vault's parameters:
+//   vault         { salt, iterations, check, encryptText }, where check is a
+//                 known text encrypted with the key, to spot a wrong
+//                 passphrase
+// chrome.storage.session keeps the unlocked key. It lives in memory only and
+// isn't readable by content scripts, so the vault locks when the browser
+// closes, on lockVault and after settings.vaultLockMinutes unused:
+//   vaultKey      the raw key, base64
+//   vaultUsedAt   when the key was last used
+
+(function(root) {
+  'use strict';
+
+  const ITERATIONS = 600000;
+  const CHECK_TEXT = 'SenseNote vault';
+
+  // Imported key for the raw key in the session, to skip re-importing it
+  let cached = { raw: null, key: null };
+
+  function toBase64(bytes) {
+    let binary = '';
+    new Uint8Array(bytes).forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(salt), iterations: iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Encrypt any JSON value -> { iv, data }
+  async function seal(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(JSON.stringify(value))
+    );
+    return { iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  // Decrypt what seal() made; rejects if the key doesn't fit
+  async function open(key, sealed) {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data)
+    );
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  // The vault's parameters, or null when it's off
+  async function getConfig() {
+    const result = await chrome.storage.local.get(['vault']);
+    return result.vault || null;
+  }
+
+  async function keepKey(key) {
+    const raw = toBase64(await crypto.subtle.exportKey('raw', key));
+    cached = { raw: raw, key: key };
+    await chrome.storage.session.set({ vaultKey: raw, vaultUsedAt: Date.now() });
+  }
+
+  // Turn the vault on with a new passphrase; leaves it unlocked. -> key
+  async function create(passphrase, encryptText) {
+    const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await deriveKey(passphrase, salt, ITERATIONS);
+    const config = {
+      salt: salt,
+      iterations: ITERATIONS,
+      check: await seal(key, CHECK_TEXT),
+      encryptText: Boolean(encryptText)
+    };
+    await chrome.storage.local.set({ vault: config });
+    await keepKey(key);
+    return key;
+  }
+
+  // Unlock with the passphrase. -> key; rejects on a wrong passphrase
+  async function unlock(passphrase) {
+    const config = await getConfig();
+    if (!config) {
+      throw new Error('The vault is off');
+    }
+    const key = await deriveKey(passphrase, config.salt, config.iterations);
+    try {
+      if (await open(key, config.check) !== CHECK_TEXT) throw new Error('Check failed');
+    } catch (e) {
+      throw new Error('Wrong passphrase');
+    }
+    await keepKey(key);
+    return key;
+  }
+
+  async function lock() {
+    cached = { raw: null, key: null };
+    await chrome.storage.session.remove(['vaultKey', 'vaultUsedAt']);
+  }
+
+  // The key if the vault is unlocked and was used within lockMinutes. With
+  // `touch`, this counts as a use. -> key or null
+  async function getKey(lockMinutes, touch) {
+    const { vaultKey, vaultUsedAt } = await chrome.storage.session.get(['vaultKey', 'vaultUsedAt']);
+    if (!vaultKey) return null;
+    if (Date.now() - vaultUsedAt > lockMinutes * 60 * 1000) {
+      await lock();
+      return null;
+    }
+    if (cached.raw !== vaultKey) {
+      const key = await crypto.subtle.importKey('raw', fromBase64(vaultKey), 'AES-GCM', true, ['encrypt', 'decrypt']);
+      cached = { raw: vaultKey, key: key };
+    }
+    if (touch) {
+      await chrome.storage.session.set({ vaultUsedAt: Date.now() });
+    }
+    return cached.key;
+  }
+
+  // Whether the vault is unlocked, without counting as a use
+  async function isUnlocked(lockMinutes) {
+    const { vaultKey, vaultUsedAt } = await chrome.storage.session.get(['vaultKey', 'vaultUsedAt']);
+    return Boolean(vaultKey) && Date.now() - vaultUsedAt <= lockMinutes * 60 * 1000;
+  }
+
+  // Turn the vault off; store.js has decrypted everything by now
+  async function remove() {
+    await lock();
+    await chrome.storage.local.remove(['vault']);
+  }
+
+  root.SenseNoteVault = {
+    getConfig,
+    create,
+    unlock,
+    lock,
+    getKey,
+    isUnlocked,
+    remove,
+    seal,
+    open
+  };
+
+})(self);